@@ -7,6 +7,10 @@
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[SlackExtractor] Extension installed');
 
+  ensureStorageReady().catch(error => {
+    console.error('[SlackExtractor] Storage migration failed:', error);
+  });
+
   // Set default settings
   chrome.storage.local.get(['settings'], (result) => {
     if (!result.settings) {
@@ -26,27 +30,1292 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'LOG':
     case 'PROGRESS':
-    case 'COMPLETED':
-    case 'ERROR':
     case 'SAVED':
+    case 'QUOTA_EXCEEDED':
       // Forward to popup if open
       forwardToPopup(message);
       break;
 
+    case 'COMPLETED':
+      forwardToPopup(message);
+      finishQueueItem(sender, 'done', message);
+      break;
+
+    case 'ERROR':
+      forwardToPopup(message);
+      finishQueueItem(sender, 'failed', message);
+      break;
+
+    case 'CONTENT_READY':
+      startQueueItem(sender, message);
+      break;
+
+    case 'START_QUEUE':
+      startQueue(message).then(sendResponse);
+      return true;
+
+    case 'STOP_QUEUE':
+      stopQueue().then(sendResponse);
+      return true;
+
     case 'EXPORT_DATA':
-      exportData(message.format).then(sendResponse);
+      exportData(message.format, message.channelKey, message.options).then(sendResponse);
       return true; // Keep channel open for async
 
     case 'CLEAR_DATA':
-      clearData().then(sendResponse);
+      clearData(message.channelKey).then(sendResponse);
       return true;
 
     case 'GET_STATS':
-      getStats().then(sendResponse);
+      getStats(message.channelKey).then(sendResponse);
+      return true;
+
+    case 'LIST_CHANNELS':
+      listChannels().then(sendResponse);
+      return true;
+
+    case 'GET_MESSAGES':
+      getMessages(message.channelKey, message.options).then(sendResponse);
+      return true;
+
+    case 'COUNT_MESSAGES':
+      countMessages(message.channelKey, message.fromTs, message.toTs).then(sendResponse);
+      return true;
+
+    case 'LOAD_STATE':
+      loadChannelState(message.channelKey, message.channelId).then(sendResponse);
       return true;
+
+    case 'IMPORT_DATA':
+      importData(message.data, message.channelKey).then(sendResponse);
+      return true;
+
+    case 'GET_STORAGE_USAGE':
+      getStorageUsage().then(sendResponse);
+      return true;
+
+    case 'TRIM_DATA':
+      trimChannelData(message.channelKey, message.beforeTs).then(sendResponse);
+      return true;
+
+    case 'SAVE_DIAGNOSTICS':
+      saveDiagnostics(message.snapshots).then(sendResponse);
+      return true;
+
+    case 'GET_DIAGNOSTICS':
+      getDiagnostics().then(sendResponse);
+      return true;
+
+    case 'CLEAR_DIAGNOSTICS':
+      clearDiagnostics().then(sendResponse);
+      return true;
+
+    case 'SAVE_STATE':
+      saveChannelState(message.channelKey, {
+        channel: message.channel,
+        messages: message.messages,
+        threads: message.threads
+      }).then(sendResponse);
+      return true;
+  }
+});
+
+// ============================================
+// IndexedDB message store
+// ============================================
+// Messages, thread index and channel records live in IndexedDB so autosaves
+// only write the records that changed. Channel datasets are namespaced by
+// `${teamId}:${channelId}` (the channel key).
+
+const DB_NAME = 'slack-extractor';
+const DB_VERSION = 1;
+
+// Version of the stored message record format. Bump it together with a new
+// RECORD_MIGRATIONS entry whenever parsed messages gain or change fields.
+const SCHEMA_VERSION = 15;
+
+// Upgrades for a single message record, keyed by the schema version they produce.
+// Each step only fills what is missing, so re-running it is harmless.
+const RECORD_MIGRATIONS = {
+  // v2: every record carries message_date/message_time
+  2: msg => {
+    if (!msg.message_date || !msg.message_time) {
+      const dateParts = getMessageDateParts(msg);
+      msg.message_date = msg.message_date || dateParts.date || null;
+      msg.message_time = msg.message_time || dateParts.time || null;
+    }
+  },
+  // v3: workspace and channel IDs on every record, taken from the channel key
+  3: msg => {
+    if (!msg.channel_key) return;
+    const [teamId, channelId] = msg.channel_key.split(':');
+    if (msg.team_id === undefined) msg.team_id = teamId === 'unknown' ? null : teamId;
+    if (!msg.channel_id) msg.channel_id = channelId;
+  },
+  // v4: edit/delete tracking from re-extraction
+  4: msg => {
+    if (!Array.isArray(msg.revisions)) msg.revisions = [];
+    if (msg.possibly_deleted === undefined) msg.possibly_deleted = false;
+  },
+  // v5: Markdown rendering of the message text. Older records were parsed from
+  // textContent, so null marks them for re-rendering on the next extraction.
+  5: msg => {
+    if (msg.text_markdown === undefined) msg.text_markdown = null;
+  },
+  // v6: structured mentions
+  6: msg => {
+    if (!Array.isArray(msg.mentions)) msg.mentions = [];
+  },
+  // v7: hyperlinks and link previews
+  7: msg => {
+    if (!Array.isArray(msg.links)) msg.links = [];
+    if (!Array.isArray(msg.unfurls)) msg.unfurls = [];
+  },
+  // v8: file attachments carry their ID, kind, size, thumbnail, permalink and uploader
+  8: msg => {
+    (msg.attachments || []).forEach(attachment => {
+      if (attachment.type !== 'file') return;
+      if (attachment.kind === undefined) attachment.kind = 'file';
+      ['id', 'filetype', 'size', 'thumbnail_url', 'permalink', 'uploader_id', 'uploader_name'].forEach(field => {
+        if (attachment[field] === undefined) attachment[field] = null;
+      });
+    });
+  },
+  // v9: who reacted; null means the list was not available when parsed
+  9: msg => {
+    (msg.reactions || []).forEach(reaction => {
+      if (reaction.users === undefined) reaction.users = null;
+      if (reaction.users_truncated === undefined) reaction.users_truncated = null;
+    });
+  },
+  // v10: whether the sender was read from the message or inferred from its group
+  10: msg => {
+    if (msg.author_inferred === undefined) msg.author_inferred = false;
+  },
+  // v11: message subtype (bot/app, workflow, system notices, broadcast replies)
+  11: msg => {
+    if (msg.subtype === undefined) msg.subtype = null;
+    if (msg.app_name === undefined) msg.app_name = null;
+  },
+  // v12: edit marker. Older records may still end with the "(edited)" label.
+  12: msg => {
+    if (msg.is_edited === undefined) {
+      const marker = /\s*\(edited\)$/i;
+      msg.is_edited = Boolean(msg.text && marker.test(msg.text));
+      if (msg.is_edited) {
+        msg.text = msg.text.replace(marker, '');
+        if (msg.text_markdown) msg.text_markdown = msg.text_markdown.replace(marker, '');
+      }
+    }
+    if (msg.edited_at === undefined) msg.edited_at = null;
+  },
+  // v13: canonical :shortcode: emoji in reactions, emoji list for message bodies
+  13: msg => {
+    if (!Array.isArray(msg.emojis)) msg.emojis = [];
+    (msg.reactions || []).forEach(reaction => {
+      const nameMatch = typeof reaction.emoji === 'string' &&
+        reaction.emoji.match(/^:?([a-z0-9_+'-]+(?:::skin-tone-\d)?):?$/i);
+      if (nameMatch) reaction.emoji = `:${nameMatch[1].toLowerCase()}:`;
+      if (reaction.unicode === undefined) reaction.unicode = null;
+      if (reaction.custom === undefined) reaction.custom = false;
+    });
+  },
+  // v14: code blocks, inline code and snippets as structured fields
+  14: msg => {
+    if (!Array.isArray(msg.code_blocks)) msg.code_blocks = [];
+  },
+  // v15: link back to the message in Slack. Records without one get it built at
+  // export time, when the workspace domain is known.
+  15: msg => {
+    if (msg.permalink === undefined) msg.permalink = null;
+  }
+};
+
+let dbPromise = null;
+let storageReadyPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains('messages')) {
+        const messages = db.createObjectStore('messages', { keyPath: ['channel_key', 'ts'] });
+        messages.createIndex('ts', 'ts');
+        messages.createIndex('channel', 'channel_key');
+        messages.createIndex('user', 'user_id');
+        messages.createIndex('thread_ts', 'thread_ts');
+      }
+
+      if (!db.objectStoreNames.contains('threads')) {
+        const threads = db.createObjectStore('threads', { keyPath: ['channel_key', 'thread_ts'] });
+        threads.createIndex('channel', 'channel_key');
+      }
+
+      if (!db.objectStoreNames.contains('channels')) {
+        db.createObjectStore('channels', { keyPath: 'channelKey' });
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Drop the cached handle if another version of the extension upgrades the database
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function waitForTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// Key range covering every [channelKey, *] compound key
+function channelKeyRange(channelKey) {
+  return IDBKeyRange.bound([channelKey], [channelKey, []]);
+}
+
+// Remove the store-only channel_key field before handing records out
+function stripChannelKey(record) {
+  const { channel_key, ...rest } = record;
+  return rest;
+}
+
+// Run pending storage migrations once per service worker lifetime
+function ensureStorageReady() {
+  if (!storageReadyPromise) {
+    storageReadyPromise = runMigrations().catch(error => {
+      storageReadyPromise = null;
+      throw error;
+    });
+  }
+  return storageReadyPromise;
+}
+
+// Bring storage up to date: move old chrome.storage data into IndexedDB, then
+// upgrade message records written by older versions of the extension
+async function runMigrations() {
+  await migrateStorageToIndexedDb();
+
+  const { schemaVersion = 1 } = await chrome.storage.local.get(['schemaVersion']);
+  if (schemaVersion >= SCHEMA_VERSION) return;
+
+  const upgradedCount = await upgradeStoredMessages();
+  await chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION });
+  console.log(`[SlackExtractor] Upgraded ${upgradedCount} messages from schema v${schemaVersion} to v${SCHEMA_VERSION}`);
+}
+
+// Apply the record migrations between a message's version and SCHEMA_VERSION
+function upgradeMessageRecord(msg) {
+  let version = msg.schema_version || 1;
+  while (version < SCHEMA_VERSION) {
+    version++;
+    const migrate = RECORD_MIGRATIONS[version];
+    if (migrate) migrate(msg);
+  }
+  msg.schema_version = SCHEMA_VERSION;
+  return msg;
+}
+
+// Rewrite every stored message that is older than SCHEMA_VERSION
+async function upgradeStoredMessages() {
+  const db = await openDatabase();
+  const tx = db.transaction('messages', 'readwrite');
+  let upgradedCount = 0;
+
+  tx.objectStore('messages').openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if ((cursor.value.schema_version || 1) < SCHEMA_VERSION) {
+      cursor.update(upgradeMessageRecord(cursor.value));
+      upgradedCount++;
+    }
+    cursor.continue();
+  };
+
+  await waitForTransaction(tx);
+  return upgradedCount;
+}
+
+// Use the explicit channel, or fall back to the one selected in the popup
+async function resolveChannelKey(channelKey) {
+  if (channelKey) return channelKey;
+  const { selectedChannelKey } = await chrome.storage.local.get(['selectedChannelKey']);
+  return selectedChannelKey || null;
+}
+
+async function getChannelRecord(channelKey) {
+  await ensureStorageReady();
+  if (!channelKey) return null;
+  const db = await openDatabase();
+  const tx = db.transaction('channels', 'readonly');
+  return (await promisifyRequest(tx.objectStore('channels').get(channelKey))) || null;
+}
+
+async function getChannelMessages(channelKey) {
+  await ensureStorageReady();
+  if (!channelKey) return [];
+  const db = await openDatabase();
+  const tx = db.transaction('messages', 'readonly');
+  const records = await promisifyRequest(tx.objectStore('messages').getAll(channelKeyRange(channelKey)));
+  return records.map(stripChannelKey);
+}
+
+async function getChannelThreads(channelKey) {
+  await ensureStorageReady();
+  if (!channelKey) return [];
+  const db = await openDatabase();
+  const tx = db.transaction('threads', 'readonly');
+  const records = await promisifyRequest(tx.objectStore('threads').getAll(channelKeyRange(channelKey)));
+  return records.map(stripChannelKey);
+}
+
+// Write a batch of changed records and refresh the channel record in one transaction
+async function writeChannelBatch(channelKey, { channel = {}, messages = [], threads = [] }) {
+  const db = await openDatabase();
+  const tx = db.transaction(['messages', 'threads', 'channels'], 'readwrite');
+  const messageStore = tx.objectStore('messages');
+  const threadStore = tx.objectStore('threads');
+  const channelStore = tx.objectStore('channels');
+
+  messages.forEach(msg => {
+    if (msg && msg.ts) messageStore.put(upgradeMessageRecord({ ...msg, channel_key: channelKey }));
+  });
+  threads.forEach(thread => {
+    if (thread && thread.thread_ts) threadStore.put({ ...thread, channel_key: channelKey });
+  });
+
+  const existingRequest = channelStore.get(channelKey);
+  existingRequest.onsuccess = () => {
+    const countRequest = messageStore.count(channelKeyRange(channelKey));
+    countRequest.onsuccess = () => {
+      const existing = existingRequest.result || {};
+      channelStore.put({
+        ...existing,
+        ...channel,
+        // The catalog grows as emoji are seen, so keep entries from earlier saves
+        customEmoji: { ...(existing.customEmoji || {}), ...(channel.customEmoji || {}) },
+        users: mergeUserDirectory(existing.users, channel.users),
+        channelKey,
+        messageCount: countRequest.result,
+        lastSaveTime: channel.lastSaveTime || Date.now()
+      });
+    };
+  };
+
+  await waitForTransaction(tx);
+}
+
+// Profile fields of a user directory entry; newer observations overwrite them
+const USER_PROFILE_FIELDS = ['display_name', 'real_name', 'avatar_url', 'title', 'is_bot', 'is_guest'];
+
+// Merge two entries for the same user ID. The entry seen at the later message
+// time sets the current profile; the other only fills fields still unknown.
+function mergeUserEntry(stored, entry) {
+  if (!stored) return entry;
+  const newer = (entry.seen_ts || 0) >= (stored.seen_ts || 0);
+  const merged = { ...stored };
+
+  USER_PROFILE_FIELDS.forEach(field => {
+    const value = entry[field];
+    if (value === null || value === undefined || value === '') return;
+    if (newer || merged[field] === null || merged[field] === undefined) merged[field] = value;
+  });
+  merged.known_names = [...new Set([...(stored.known_names || []), ...(entry.known_names || [])])];
+  merged.seen_ts = Math.max(stored.seen_ts || 0, entry.seen_ts || 0) || null;
+  merged.updated_at = [stored.updated_at, entry.updated_at].filter(Boolean).sort().pop() || null;
+  return merged;
+}
+
+// Merge a saved or imported user directory (user ID -> entry) into the stored one
+function mergeUserDirectory(stored = {}, incoming = {}) {
+  const merged = { ...stored };
+  Object.values(incoming || {}).forEach(entry => {
+    if (entry && entry.id) merged[entry.id] = mergeUserEntry(merged[entry.id], entry);
+  });
+  return merged;
+}
+
+async function deleteChannelData(channelKey) {
+  const db = await openDatabase();
+  const tx = db.transaction(['messages', 'threads', 'channels'], 'readwrite');
+  tx.objectStore('messages').delete(channelKeyRange(channelKey));
+  tx.objectStore('threads').delete(channelKeyRange(channelKey));
+  tx.objectStore('channels').delete(channelKey);
+  await waitForTransaction(tx);
+}
+
+// Move data from chrome.storage.local into IndexedDB. Handles both the original
+// single `extractedMessages` array and the per-channel `extractedMessages:<key>` keys.
+async function migrateStorageToIndexedDb() {
+  const data = await chrome.storage.local.get(null);
+  const channelIndex = data.channelIndex || {};
+  const batches = {};
+  const keysToRemove = [];
+
+  Object.keys(data).forEach(key => {
+    const match = key.match(/^extractedMessages:(.+)$/);
+    if (!match || !Array.isArray(data[key])) return;
+    const channelKey = match[1];
+    const state = data[`extractorState:${channelKey}`] || {};
+    batches[channelKey] = {
+      channel: {
+        ...state,
+        ...(channelIndex[channelKey] || {})
+      },
+      messages: data[key],
+      threads: data[`extractedThreads:${channelKey}`] || []
+    };
+    keysToRemove.push(key, `extractedThreads:${channelKey}`, `extractorState:${channelKey}`);
+  });
+
+  // Data saved before per-channel namespaces goes into `unknown:<channelId>`
+  // namespaces; the channel is adopted once it is opened with a known workspace.
+  if (Array.isArray(data.extractedMessages)) {
+    const legacyState = data.extractorState || {};
+    data.extractedMessages.forEach(msg => {
+      const channelId = msg.channel_id || legacyState.channelId || 'legacy';
+      const channelKey = `unknown:${channelId}`;
+      if (!batches[channelKey]) {
+        const isLegacyChannel = channelId === legacyState.channelId;
+        batches[channelKey] = {
+          channel: {
+            teamId: '',
+            channelId,
+            channelName: isLegacyChannel ? legacyState.channelName || '' : '',
+            lastSaveTime: legacyState.lastSaveTime || Date.now(),
+            timeRange: isLegacyChannel ? legacyState.timeRange || null : null
+          },
+          messages: [],
+          threads: []
+        };
+      }
+      batches[channelKey].messages.push(msg);
+    });
+    keysToRemove.push('extractedMessages', 'extractedThreads', 'extractorState');
+  }
+
+  if (keysToRemove.length === 0 && !data.channelIndex) return;
+
+  for (const [channelKey, batch] of Object.entries(batches)) {
+    await writeChannelBatch(channelKey, batch);
+  }
+  await chrome.storage.local.remove([...keysToRemove, 'channelIndex']);
+  console.log(`[SlackExtractor] Migrated ${Object.keys(batches).length} channel dataset(s) into IndexedDB`);
+}
+
+// Move an `unknown:<channelId>` dataset into the channel's workspace namespace
+async function adoptLegacyChannel(channelKey, channelId) {
+  const legacyKey = `unknown:${channelId}`;
+  if (channelKey === legacyKey) return false;
+
+  const legacyChannel = await getChannelRecord(legacyKey);
+  if (!legacyChannel) return false;
+
+  const teamId = channelKey.split(':')[0];
+  const messages = (await getChannelMessages(legacyKey)).map(msg => ({ ...msg, team_id: teamId }));
+  const threads = await getChannelThreads(legacyKey);
+  await writeChannelBatch(channelKey, {
+    channel: { ...legacyChannel, teamId },
+    messages,
+    threads
+  });
+  await deleteChannelData(legacyKey);
+  console.log(`[SlackExtractor] Moved ${messages.length} messages from ${legacyKey} to ${channelKey}`);
+  return true;
+}
+
+// Load a channel's stored messages and thread index for the content script
+async function loadChannelState(channelKey, channelId) {
+  try {
+    await ensureStorageReady();
+    if (!(await getChannelRecord(channelKey)) && channelId) {
+      await adoptLegacyChannel(channelKey, channelId);
+    }
+
+    const channel = await getChannelRecord(channelKey);
+    return {
+      success: true,
+      channel,
+      messages: await getChannelMessages(channelKey),
+      // null tells the extractor to rebuild the index from messages
+      threads: channel ? await getChannelThreads(channelKey) : null
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Persist the records that changed since the content script's last save.
+// Refuses to write once storage is nearly full so the extractor can pause
+// with its unsaved records still in memory.
+async function saveChannelState(channelKey, batch) {
+  try {
+    await ensureStorageReady();
+    const usage = await measureStorageUsage();
+    if (usage.percent >= STORAGE_PAUSE_PERCENT) {
+      return { success: false, quotaExceeded: true, usage, error: 'Storage is almost full' };
+    }
+
+    await writeChannelBatch(channelKey, batch);
+    return { success: true, usage };
+  } catch (error) {
+    if (error && error.name === 'QuotaExceededError') {
+      return { success: false, quotaExceeded: true, usage: await measureStorageUsage(), error: error.message };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// Import
+// ============================================
+
+// Pull message objects out of any export this extension produces: the popup's
+// thread-organized JSON, the background `json` format and the `analysis` format
+function extractImportedMessages(data) {
+  if (!data || typeof data !== 'object') return [];
+
+  // Background `json` format: flat message list
+  if (Array.isArray(data.messages)) {
+    return data.messages;
+  }
+
+  const messages = [];
+  const addThread = thread => {
+    if (!thread) return;
+    if (thread.parent_message) messages.push(thread.parent_message);
+    (thread.replies || []).forEach(reply => messages.push(reply));
+  };
+
+  // Popup JSON format: threads array plus standalone messages
+  if (Array.isArray(data.threads)) {
+    data.threads.forEach(addThread);
+    (data.standalone_messages || []).forEach(msg => messages.push(msg));
+    return messages;
+  }
+
+  // `analysis` format: threads keyed by thread_ts inside the threads section
+  if (data.threads && typeof data.threads === 'object') {
+    Object.values(data.threads.threaded_conversations || {}).forEach(addThread);
+    (data.threads.standalone_messages || []).forEach(msg => messages.push(msg));
+    return messages;
+  }
+
+  return [];
+}
+
+// Merge an exported file into a channel dataset. Imported messages are deduplicated
+// by ts; stored copies win and imported copies only fill fields they lack. The thread
+// index is dropped so the extractor rebuilds it with rebuildThreadsFromMessages.
+async function importData(data, fallbackChannelKey) {
+  try {
+    // Pseudonyms would be merged into real records for the same messages
+    if (data?.pseudonymized) {
+      return {
+        success: false,
+        error: 'This is a pseudonymized export. Only exports with real user names can be imported.'
+      };
+    }
+
+    const channelKey = data?.channel?.channel_key || await resolveChannelKey(fallbackChannelKey);
+    if (!channelKey) {
+      return { success: false, error: 'No channel to import into. Open a Slack channel or select a dataset first.' };
+    }
+
+    const imported = new Map();
+    extractImportedMessages(data).forEach(msg => {
+      if (!msg || !msg.ts) return;
+      imported.set(msg.ts, { ...(imported.get(msg.ts) || {}), ...msg });
+    });
+    if (imported.size === 0) {
+      return { success: false, error: 'No messages found in the file' };
+    }
+
+    const existing = new Map((await getChannelMessages(channelKey)).map(msg => [msg.ts, msg]));
+    const changed = [];
+    let addedCount = 0;
+    imported.forEach((msg, ts) => {
+      const stored = existing.get(ts);
+      if (!stored) {
+        changed.push(msg);
+        addedCount++;
+        return;
+      }
+      const merged = { ...msg, ...stored };
+      if (Object.keys(merged).length > Object.keys(stored).length) {
+        changed.push(merged);
+      }
+    });
+
+    const channel = (await getChannelRecord(channelKey)) || {
+      teamId: data.workspace?.team_id || channelKey.split(':')[0],
+      teamName: data.workspace?.name || '',
+      teamDomain: data.workspace?.domain || '',
+      channelId: data.channel?.channel_id || channelKey.split(':')[1],
+      channelName: data.channel?.name || '',
+      conversationType: data.channel?.conversation_type || ''
+    };
+    // writeChannelBatch merges the imported directory into the stored one
+    await writeChannelBatch(channelKey, { channel: { ...channel, users: data.users || {} }, messages: changed });
+
+    const db = await openDatabase();
+    const tx = db.transaction('threads', 'readwrite');
+    tx.objectStore('threads').delete(channelKeyRange(channelKey));
+    await waitForTransaction(tx);
+
+    // Let open Slack tabs holding this channel reload and rebuild their thread index
+    const tabs = await chrome.tabs.query({ url: 'https://app.slack.com/*' });
+    await Promise.all(tabs.map(tab =>
+      chrome.tabs.sendMessage(tab.id, { action: 'RELOAD_STATE', channelKey }).catch(() => {})
+    ));
+
+    return {
+      success: true,
+      channelKey,
+      importedCount: imported.size,
+      addedCount,
+      mergedCount: changed.length - addedCount
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// Storage quota
+// ============================================
+
+const STORAGE_WARNING_PERCENT = 80; // Popup shows a warning from here
+const STORAGE_PAUSE_PERCENT = 95; // Saves are refused and extraction pauses from here
+
+// Measure real usage: IndexedDB via the origin quota estimate, settings and
+// queue state via chrome.storage.local
+async function measureStorageUsage() {
+  const estimate = await navigator.storage.estimate();
+  const localBytes = await chrome.storage.local.getBytesInUse(null);
+  const unlimited = await chrome.permissions.contains({ permissions: ['unlimitedStorage'] });
+  const localQuota = unlimited ? null : chrome.storage.local.QUOTA_BYTES;
+
+  const usage = estimate.usage || 0;
+  const quota = estimate.quota || 0;
+  const percents = [quota ? (usage / quota) * 100 : 0];
+  if (localQuota) percents.push((localBytes / localQuota) * 100);
+  const percent = Math.round(Math.max(...percents) * 10) / 10;
+
+  return {
+    usage,
+    quota,
+    localBytes,
+    localQuota,
+    unlimited,
+    percent,
+    warning: percent >= STORAGE_WARNING_PERCENT,
+    exceeded: percent >= STORAGE_PAUSE_PERCENT
+  };
+}
+
+async function getStorageUsage() {
+  try {
+    return { success: true, usage: await measureStorageUsage() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Delete a channel's messages and threads older than a cutoff to free space
+async function trimChannelData(channelKey, beforeTs) {
+  try {
+    const resolvedKey = await resolveChannelKey(channelKey);
+    const cutoff = parseFloat(beforeTs);
+    if (!resolvedKey || Number.isNaN(cutoff)) {
+      return { success: false, error: 'Channel and cutoff date are required' };
+    }
+
+    await ensureStorageReady();
+    const db = await openDatabase();
+    const tx = db.transaction(['messages', 'threads', 'channels'], 'readwrite');
+    const messageStore = tx.objectStore('messages');
+    let removedCount = 0;
+
+    const deleteOlder = (store, tsField, onDelete) => {
+      store.openCursor(channelKeyRange(resolvedKey)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (parseFloat(cursor.value[tsField]) < cutoff) {
+          cursor.delete();
+          if (onDelete) onDelete();
+        }
+        cursor.continue();
+      };
+    };
+    deleteOlder(messageStore, 'ts', () => removedCount++);
+    deleteOlder(tx.objectStore('threads'), 'thread_ts');
+
+    const channelStore = tx.objectStore('channels');
+    const channelRequest = channelStore.get(resolvedKey);
+    await waitForTransaction(tx);
+
+    // Refresh the stored message count once the deletes are committed
+    if (channelRequest.result) {
+      const countTx = db.transaction(['messages', 'channels'], 'readwrite');
+      const countRequest = countTx.objectStore('messages').count(channelKeyRange(resolvedKey));
+      countRequest.onsuccess = () => {
+        countTx.objectStore('channels').put({ ...channelRequest.result, messageCount: countRequest.result });
+      };
+      await waitForTransaction(countTx);
+    }
+
+    return { success: true, removedCount, usage: await measureStorageUsage() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// List stored channel datasets, most recently saved first
+async function listChannels() {
+  try {
+    await ensureStorageReady();
+    const db = await openDatabase();
+    const tx = db.transaction('channels', 'readonly');
+    const channels = (await promisifyRequest(tx.objectStore('channels').getAll()))
+      .sort((a, b) => (b.lastSaveTime || 0) - (a.lastSaveTime || 0));
+    const { selectedChannelKey = null } = await chrome.storage.local.get(['selectedChannelKey']);
+    return { success: true, channels, selectedChannelKey };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Apply export options to stored messages. Messages whose subtype is listed in
+// excludeSubtypes are dropped; revision history is only kept on request.
+function prepareExportMessages(messages, options = {}) {
+  const excludeSubtypes = new Set(options.excludeSubtypes || []);
+  let prepared = excludeSubtypes.size > 0
+    ? messages.filter(msg => !msg.subtype || !excludeSubtypes.has(msg.subtype))
+    : messages;
+
+  if (!options.includeRevisions) {
+    prepared = prepared.map(msg => {
+      const { revisions, ...rest } = msg;
+      return rest;
+    });
+  }
+  return prepared;
+}
+
+// Get stored messages for a channel, prepared for export. With the pseudonymize
+// option the response also carries the mapping back to real users.
+async function getMessages(channelKey, options = {}) {
+  try {
+    const resolvedKey = await resolveChannelKey(channelKey);
+    const channelInfo = await getChannelRecord(resolvedKey);
+    const messages = fillPermalinks(
+      prepareExportMessages(await getChannelMessages(resolvedKey), options),
+      channelInfo
+    );
+    const users = buildUserDirectory(channelInfo, messages);
+    if (options.pseudonymize) {
+      const pseudonymized = await pseudonymizeExport(messages, users);
+      return {
+        success: true,
+        channelKey: resolvedKey,
+        schemaVersion: SCHEMA_VERSION,
+        messages: pseudonymized.messages,
+        users: pseudonymized.users,
+        pseudonymMapping: pseudonymized.mapping
+      };
+    }
+    return {
+      success: true,
+      channelKey: resolvedKey,
+      schemaVersion: SCHEMA_VERSION,
+      messages,
+      users
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// Pseudonymization
+// ============================================
+// Exports can replace every user ID and name with a pseudonym derived from
+// SHA-256 of the project salt and the user's ID. The same salt gives the same
+// pseudonyms in every export; the mapping file reverses them.
+
+// Hex characters of the hash kept in a pseudonym
+const PSEUDONYM_HASH_LENGTH = 10;
+
+// User IDs inside Slack URLs: profiles (/team/U…, /user_profile/U…) and files (/files/U…/F…)
+const USER_ID_URL_PATTERN = /\/(team|files|user_profile)\/([UW][A-Z0-9]{6,})(?![A-Z0-9])/g;
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Text and URL fields of a message (and its revisions) that can hold a user ID in a link
+function getMessageUrlValues(msg) {
+  const versions = [msg, ...(msg.revisions || []).map(revision => revision.previous || {})];
+  return versions.flatMap(version => [
+    version.text,
+    version.text_markdown,
+    ...(version.links || []).flatMap(link => [link.href, link.label]),
+    ...(version.unfurls || []).map(unfurl => unfurl.url),
+    ...(version.attachments || []).flatMap(attachment => [attachment.permalink, attachment.thumbnail_url])
+  ]).filter(value => typeof value === 'string');
+}
+
+// Pseudonyms for every user found in the messages and the user directory. Users
+// are identified by ID, so all names a user had map to one pseudonym; names
+// without a known ID get a pseudonym of their own.
+async function buildPseudonyms(messages, users, salt) {
+  // Every (ID, name) pair an export mentions a user by
+  const pairs = [];
+  Object.values(users).forEach(entry => {
+    [entry.display_name, ...(entry.known_names || [])].forEach(name => pairs.push([entry.id, name || null]));
+  });
+  messages.forEach(msg => {
+    pairs.push([msg.user_id, msg.user_name]);
+    // Bots and workflows post under their app name, which people often name after themselves
+    if (msg.app_name) pairs.push([null, msg.app_name]);
+    const mentionLists = [msg.mentions, ...(msg.revisions || []).map(revision => revision.previous?.mentions)];
+    mentionLists.forEach(mentions => (mentions || []).filter(mention => mention.type === 'user')
+      .forEach(mention => pairs.push([mention.id, (mention.label || '').replace(/^@/, '') || null])));
+    getMessageUrlValues(msg).forEach(value => {
+      for (const match of value.matchAll(USER_ID_URL_PATTERN)) pairs.push([match[2], null]);
+    });
+    const reactionLists = [msg.reactions, ...(msg.revisions || []).map(revision => revision.previous?.reactions)];
+    reactionLists.forEach(reactions => (reactions || []).forEach(reaction => {
+      (reaction.users || []).forEach(user => pairs.push([user.id, user.name]));
+    }));
+    (msg.attachments || []).forEach(attachment => {
+      if (attachment.type === 'file') pairs.push([attachment.uploader_id, attachment.uploader_name]);
+    });
+  });
+
+  const idsByName = new Map();
+  pairs.forEach(([id, name]) => {
+    if (id && name) idsByName.set(name, id);
+  });
+
+  const identities = new Map(); // identity key -> { user_id, names }
+  pairs.forEach(([id, name]) => {
+    const resolvedId = id || (name && idsByName.get(name)) || null;
+    const key = resolvedId || (name ? `name:${name}` : null);
+    if (!key) return;
+    if (!identities.has(key)) identities.set(key, { user_id: resolvedId, names: new Set() });
+    if (name) identities.get(key).names.add(name);
+  });
+
+  const byId = new Map();
+  const byName = new Map();
+  const entries = [];
+  for (const [key, identity] of identities) {
+    const hash = (await sha256Hex(`${salt}:${key}`)).slice(0, PSEUDONYM_HASH_LENGTH);
+    const entry = { id: `anon_${hash}`, name: `user_${hash}`, user_id: identity.user_id, names: [...identity.names] };
+    entries.push(entry);
+    if (identity.user_id) byId.set(identity.user_id, entry);
+    identity.names.forEach(name => byName.set(name, entry));
+  }
+
+  return {
+    entries,
+    // Pseudonym for an ID and/or name, or null when neither is known
+    lookup: (id, name) => (id && byId.get(id)) || (name && byName.get(name)) || null
+  };
+}
+
+// Replace "@name" mention labels in a text with the mentioned users' pseudonyms
+function replaceMentionLabels(text, replacements) {
+  if (!text) return text;
+  return replacements.reduce((result, [label, pseudonym]) => result.split(label).join(pseudonym), text);
+}
+
+// Replace user IDs in profile and file URLs, so links cannot be traced back to a person
+function replaceUrlUserIds(value, lookup) {
+  if (typeof value !== 'string') return value;
+  return value.replace(USER_ID_URL_PATTERN, (match, route, id) => {
+    const pseudonym = lookup(id, null);
+    return pseudonym ? `/${route}/${pseudonym.id}` : match;
+  });
+}
+
+// Pseudonymized user mentions, plus the label replacements for the message text
+function pseudonymizeMentions(mentions, lookup) {
+  const labels = [];
+  const pseudonymized = (mentions || []).map(mention => {
+    if (mention.type !== 'user') return mention;
+    const pseudonym = lookup(mention.id, (mention.label || '').replace(/^@/, ''));
+    if (!pseudonym) return mention;
+    if (mention.label) labels.push([mention.label, `@${pseudonym.name}`]);
+    return { ...mention, id: pseudonym.id, label: `@${pseudonym.name}` };
+  });
+  return { mentions: pseudonymized, labels };
+}
+
+// Text, links, link previews and file URLs of one message version with mention
+// labels and URL user IDs replaced. Only fields present in the version are set.
+function pseudonymizeTextFields(version, mentionLabels, lookup) {
+  const fields = {};
+  ['text', 'text_markdown'].forEach(field => {
+    if (field in version) fields[field] = replaceUrlUserIds(replaceMentionLabels(version[field], mentionLabels), lookup);
+  });
+  if ('links' in version) {
+    fields.links = (version.links || []).map(link => ({
+      ...link,
+      href: replaceUrlUserIds(link.href, lookup),
+      label: replaceUrlUserIds(link.label, lookup)
+    }));
+  }
+  if ('unfurls' in version) {
+    fields.unfurls = (version.unfurls || []).map(unfurl => ({
+      ...unfurl,
+      // The service line shows the author of shared messages and posts
+      service: pseudonymizeName(unfurl.service, lookup),
+      title: pseudonymizeName(unfurl.title, lookup),
+      url: replaceUrlUserIds(unfurl.url, lookup)
+    }));
+  }
+  return fields;
+}
+
+// Pseudonym name for a value that is exactly a known user name, else the value
+function pseudonymizeName(value, lookup) {
+  const pseudonym = value ? lookup(null, value) : null;
+  return pseudonym ? pseudonym.name : value;
+}
+
+function pseudonymizeReactions(reactions, lookup) {
+  return (reactions || []).map(reaction => ({
+    ...reaction,
+    users: reaction.users ? reaction.users.map(user => {
+      const pseudonym = lookup(user.id, user.name);
+      return pseudonym ? { name: pseudonym.name, id: pseudonym.id } : user;
+    }) : reaction.users
+  }));
+}
+
+// Copy of a message with its sender, app name, mentions, reacting users, file
+// uploaders, preview authors and user IDs in URLs replaced. Participant lists
+// built from the copies are pseudonymized too.
+function pseudonymizeMessage(msg, lookup) {
+  const sender = lookup(msg.user_id, msg.user_name);
+  const { mentions, labels: mentionLabels } = pseudonymizeMentions(msg.mentions, lookup);
+  // Longest labels first so "@ann" does not rewrite part of "@anna"
+  const byLength = labels => labels.sort((a, b) => b[0].length - a[0].length);
+
+  const pseudonymized = {
+    ...msg,
+    ...pseudonymizeTextFields(msg, byLength(mentionLabels), lookup),
+    user_id: sender ? sender.id : msg.user_id,
+    user_name: sender ? sender.name : msg.user_name,
+    app_name: pseudonymizeName(msg.app_name, lookup),
+    mentions,
+    reactions: pseudonymizeReactions(msg.reactions, lookup),
+    attachments: (msg.attachments || []).map(attachment => {
+      if (attachment.type !== 'file') return { ...attachment, title: pseudonymizeName(attachment.title, lookup) };
+      const uploader = lookup(attachment.uploader_id, attachment.uploader_name);
+      return {
+        ...attachment,
+        uploader_id: uploader ? uploader.id : attachment.uploader_id,
+        uploader_name: uploader ? uploader.name : attachment.uploader_name,
+        permalink: replaceUrlUserIds(attachment.permalink, lookup),
+        thumbnail_url: replaceUrlUserIds(attachment.thumbnail_url, lookup)
+      };
+    })
+  };
+
+  if (Array.isArray(msg.revisions)) {
+    pseudonymized.revisions = msg.revisions.map(revision => {
+      const previous = { ...revision.previous };
+      // Earlier text can mention users the current version no longer does
+      const previousMentions = pseudonymizeMentions(previous.mentions, lookup);
+      const labels = byLength([...mentionLabels, ...previousMentions.labels]);
+      Object.assign(previous, pseudonymizeTextFields(previous, labels, lookup));
+      if ('mentions' in previous) previous.mentions = previousMentions.mentions;
+      if ('reactions' in previous) previous.reactions = pseudonymizeReactions(previous.reactions, lookup);
+      return { ...revision, previous };
+    });
+  }
+  return pseudonymized;
+}
+
+// Pseudonymize messages and the user directory with the stored project salt.
+// Returns the pseudonymized copies and the mapping file contents.
+async function pseudonymizeExport(messages, users) {
+  const { pseudonymSalt = '' } = await chrome.storage.local.get(['pseudonymSalt']);
+  if (!pseudonymSalt) {
+    throw new Error('Set a project salt before exporting pseudonymized data');
+  }
+
+  const { entries, lookup } = await buildPseudonyms(messages, users, pseudonymSalt);
+
+  // Profile details that identify a person are dropped from the directory
+  const pseudonymizedUsers = {};
+  Object.values(users).forEach(entry => {
+    const pseudonym = lookup(entry.id, entry.display_name);
+    if (!pseudonym) return;
+    pseudonymizedUsers[pseudonym.id] = {
+      ...entry,
+      id: pseudonym.id,
+      display_name: pseudonym.name,
+      real_name: null,
+      avatar_url: null,
+      title: null,
+      known_names: [pseudonym.name]
+    };
+  });
+
+  return {
+    messages: messages.map(msg => pseudonymizeMessage(msg, lookup)),
+    users: pseudonymizedUsers,
+    mapping: {
+      created_at: new Date().toISOString(),
+      algorithm: 'SHA-256(salt:user_id), or SHA-256(salt:name:<name>) for users without an ID',
+      // Tells which salt produced the pseudonyms without revealing it
+      salt_fingerprint: (await sha256Hex(pseudonymSalt)).slice(0, 12),
+      pseudonyms: entries.map(entry => ({
+        pseudonym_id: entry.id,
+        pseudonym_name: entry.name,
+        user_id: entry.user_id,
+        names: entry.names
+      }))
+    }
+  };
+}
+
+// ============================================
+// Diagnostic snapshots
+// ============================================
+// Sanitized HTML of messages that failed to parse, captured in diagnostics mode.
+// Kept in chrome.storage.local (newest last) until the user clears them.
+
+const MAX_DIAGNOSTIC_SNAPSHOTS = 500;
+
+// Serializes read-modify-write updates from several Slack tabs
+let diagnosticsWrite = Promise.resolve();
+
+function saveDiagnostics(snapshots = []) {
+  diagnosticsWrite = diagnosticsWrite.then(async () => {
+    const { diagnostics = [] } = await chrome.storage.local.get(['diagnostics']);
+    const updated = [...diagnostics, ...snapshots].slice(-MAX_DIAGNOSTIC_SNAPSHOTS);
+    await chrome.storage.local.set({ diagnostics: updated });
+    return { success: true, count: updated.length };
+  }).catch(error => ({ success: false, error: error.message }));
+  return diagnosticsWrite;
+}
+
+async function getDiagnostics() {
+  try {
+    const { diagnostics = [] } = await chrome.storage.local.get(['diagnostics']);
+    return { success: true, snapshots: diagnostics };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+function clearDiagnostics() {
+  diagnosticsWrite = diagnosticsWrite.then(async () => {
+    await chrome.storage.local.remove('diagnostics');
+    return { success: true };
+  }).catch(error => ({ success: false, error: error.message }));
+  return diagnosticsWrite;
+}
+
+// ============================================
+// Batch extraction queue
+// ============================================
+// The queue lives in chrome.storage.local so it survives the popup closing and
+// the service worker restarting. Each step is driven by an event from the Slack
+// tab: CONTENT_READY after navigating to a channel, COMPLETED or ERROR after a run.
+// The pause before the next channel is a chrome.alarms alarm, since a timer would
+// be lost if the worker is suspended in between.
+
+const QUEUE_CHANNEL_DELAY_MS = 5000; // Pause between channels, randomized below
+const QUEUE_NEXT_ALARM = 'queueNextChannel';
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === QUEUE_NEXT_ALARM) {
+    runNextQueueItem();
   }
 });
 
+async function getQueue() {
+  const { extractionQueue = null } = await chrome.storage.local.get(['extractionQueue']);
+  return extractionQueue;
+}
+
+async function saveQueue(queue) {
+  await chrome.storage.local.set({ extractionQueue: queue });
+  forwardToPopup({ type: 'QUEUE_UPDATED' });
+}
+
+// Start a queue of channels in one workspace with shared settings
+async function startQueue({ tabId, teamId, channels, settings }) {
+  try {
+    const current = await getQueue();
+    if (current && current.status === 'running') {
+      return { success: false, error: 'A queue is already running' };
+    }
+    if (!teamId || !Array.isArray(channels) || channels.length === 0) {
+      return { success: false, error: 'No channels to queue' };
+    }
+
+    await saveQueue({
+      tabId,
+      teamId,
+      settings,
+      status: 'running',
+      createdAt: Date.now(),
+      finishedAt: null,
+      nextItemAt: null,
+      items: channels.map(channel => ({
+        channelId: channel.channelId,
+        channelName: channel.channelName || '',
+        status: 'pending',
+        messageCount: null,
+        error: null,
+        startedAt: null,
+        finishedAt: null
+      }))
+    });
+    await runNextQueueItem();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function stopQueue() {
+  try {
+    const queue = await getQueue();
+    if (!queue || queue.status !== 'running') {
+      return { success: true };
+    }
+
+    queue.status = 'stopped';
+    queue.finishedAt = Date.now();
+    queue.nextItemAt = null;
+    await chrome.alarms.clear(QUEUE_NEXT_ALARM);
+    queue.items.forEach(item => {
+      if (item.status === 'navigating' || item.status === 'running') {
+        item.status = 'stopped';
+      }
+    });
+    await saveQueue(queue);
+
+    try {
+      await chrome.tabs.sendMessage(queue.tabId, { action: 'STOP_EXTRACTION' });
+    } catch (error) {
+      // Tab closed or navigating, nothing to stop
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Navigate the queue tab to the next pending channel
+async function runNextQueueItem() {
+  const queue = await getQueue();
+  if (!queue || queue.status !== 'running') return;
+  // A channel is still being extracted, so this alarm is stale
+  if (queue.items.some(entry => entry.status === 'navigating' || entry.status === 'running')) return;
+  queue.nextItemAt = null;
+
+  const item = queue.items.find(entry => entry.status === 'pending');
+  if (!item) {
+    queue.status = 'completed';
+    queue.finishedAt = Date.now();
+    await saveQueue(queue);
+    return;
+  }
+
+  item.status = 'navigating';
+  item.startedAt = Date.now();
+  await saveQueue(queue);
+
+  try {
+    await chrome.tabs.update(queue.tabId, {
+      url: `https://app.slack.com/client/${queue.teamId}/${item.channelId}`
+    });
+  } catch (error) {
+    // The Slack tab is gone, so the rest of the queue cannot run
+    item.status = 'failed';
+    item.error = error.message;
+    queue.status = 'stopped';
+    queue.finishedAt = Date.now();
+    await saveQueue(queue);
+  }
+}
+
+// Start extraction once the content script reports the navigated channel is loaded
+async function startQueueItem(sender, message) {
+  const queue = await getQueue();
+  if (!queue || queue.status !== 'running' || sender.tab?.id !== queue.tabId) return;
+
+  const item = queue.items.find(entry => entry.status === 'navigating');
+  if (!item || item.channelId !== message.channelId) return;
+
+  item.status = 'running';
+  await saveQueue(queue);
+
+  try {
+    await chrome.tabs.sendMessage(queue.tabId, {
+      action: 'START_EXTRACTION',
+      settings: queue.settings
+    });
+  } catch (error) {
+    await finishQueueItem(sender, 'failed', { error: error.message });
+  }
+}
+
+// Record the outcome of the running queue item and move on to the next channel
+async function finishQueueItem(sender, status, message) {
+  const queue = await getQueue();
+  if (!queue || queue.status !== 'running' || sender.tab?.id !== queue.tabId) return;
+
+  const item = queue.items.find(entry => entry.status === 'running');
+  if (!item) return;
+
+  item.status = status;
+  item.finishedAt = Date.now();
+  item.messageCount = message.messageCount ?? item.messageCount;
+  item.error = message.error || null;
+  queue.nextItemAt = Date.now() + QUEUE_CHANNEL_DELAY_MS + Math.random() * QUEUE_CHANNEL_DELAY_MS;
+  await saveQueue(queue);
+
+  // Chrome may round short alarms up (30s for packed extensions)
+  chrome.alarms.create(QUEUE_NEXT_ALARM, { when: queue.nextItemAt });
+}
+
 // Forward message to popup
 async function forwardToPopup(message) {
   try {
@@ -58,27 +1327,39 @@ async function forwardToPopup(message) {
 }
 
 // Export data
-async function exportData(format) {
+async function exportData(format, channelKey, options = {}) {
   try {
-    const data = await chrome.storage.local.get(['extractedMessages']);
-    const messages = data.extractedMessages || [];
+    const resolvedKey = await resolveChannelKey(channelKey);
+    let messages = prepareExportMessages(await getChannelMessages(resolvedKey), options);
 
     if (messages.length === 0) {
       return { success: false, error: 'No data to export' };
     }
 
+    const channelInfo = await getChannelRecord(resolvedKey);
+    fillPermalinks(messages, channelInfo);
+    let users = buildUserDirectory(channelInfo, messages);
+    if (options.pseudonymize) {
+      ({ messages, users } = await pseudonymizeExport(messages, users));
+    }
+
     let content, filename, mimeType;
     const timestamp = new Date().toISOString().slice(0, 10);
+    const channelSlug = getChannelSlug(channelInfo, resolvedKey, options.pseudonymize);
 
     if (format === 'json') {
       // JSON with metadata
       const exportData = {
         exported_at: new Date().toISOString(),
+        schema_version: SCHEMA_VERSION,
+        ...buildExportMetadata(channelInfo, resolvedKey, options.pseudonymize),
+        pseudonymized: Boolean(options.pseudonymize),
+        users,
         total_messages: messages.length,
         messages: messages.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
       };
       content = JSON.stringify(exportData, null, 2);
-      filename = `slack_messages_${timestamp}.json`;
+      filename = `slack_messages_${channelSlug}_${timestamp}.json`;
       mimeType = 'application/json';
     } else if (format === 'csv') {
       // CSV format
@@ -87,13 +1368,25 @@ async function exportData(format) {
         'datetime',
         'message_date',
         'message_time',
+        'team_id',
+        'channel_id',
         'user_id',
         'user_name',
+        'author_inferred',
+        'subtype',
+        'app_name',
         'text',
+        'is_edited',
+        'edited_at',
         'thread_ts',
+        'permalink',
         'reply_count',
         'reactions',
-        'attachments'
+        'attachments',
+        'files',
+        'possibly_deleted',
+        'revisions',
+        'schema_version'
       ];
 
       const rows = messages.map(msg => {
@@ -105,24 +1398,40 @@ async function exportData(format) {
           datetime,
           msg.message_date || dateParts.date,
           msg.message_time || dateParts.time,
+          msg.team_id || channelInfo?.teamId || '',
+          msg.channel_id || channelInfo?.channelId || '',
           msg.user_id || '',
           escapeCSV(msg.user_name || ''),
+          msg.author_inferred ? 'true' : 'false',
+          msg.subtype || '',
+          escapeCSV(msg.app_name || ''),
           escapeCSV(msg.text || ''),
+          msg.is_edited ? 'true' : 'false',
+          msg.edited_at || '',
           msg.thread_ts || '',
+          escapeCSV(msg.permalink || ''),
           msg.reply_count || 0,
           escapeCSV(JSON.stringify(msg.reactions || [])),
-          escapeCSV(JSON.stringify(msg.attachments || []))
+          escapeCSV(JSON.stringify(msg.attachments || [])),
+          escapeCSV(JSON.stringify((msg.attachments || []).filter(attachment => attachment.type === 'file'))),
+          msg.possibly_deleted ? 'true' : 'false',
+          msg.revisions ? escapeCSV(JSON.stringify(msg.revisions)) : '',
+          msg.schema_version || SCHEMA_VERSION
         ].join(',');
       });
 
       content = [headers.join(','), ...rows].join('\n');
-      filename = `slack_messages_${timestamp}.csv`;
+      filename = `slack_messages_${channelSlug}_${timestamp}.csv`;
       mimeType = 'text/csv';
     } else if (format === 'analysis') {
       // Analysis-ready format (organized by threads)
       const threads = organizeByThreads(messages);
       const exportData = {
         exported_at: new Date().toISOString(),
+        schema_version: SCHEMA_VERSION,
+        ...buildExportMetadata(channelInfo, resolvedKey, options.pseudonymize),
+        pseudonymized: Boolean(options.pseudonymize),
+        users,
         summary: {
           total_messages: messages.length,
           total_threads: Object.keys(threads).length,
@@ -131,7 +1440,7 @@ async function exportData(format) {
         threads: threads
       };
       content = JSON.stringify(exportData, null, 2);
-      filename = `slack_analysis_${timestamp}.json`;
+      filename = `slack_analysis_${channelSlug}_${timestamp}.json`;
       mimeType = 'application/json';
     } else {
       return { success: false, error: `Unknown export format: ${format}` };
@@ -280,16 +1589,39 @@ function buildConversationText(thread) {
 
   if (thread.parent_message) {
     const pm = thread.parent_message;
-    lines.push(`[${pm.message_date || ''} ${pm.message_time || ''}] ${pm.user_name || pm.user_id || 'Unknown'}: ${pm.text || ''}`);
+    lines.push(`[${pm.message_date || ''} ${pm.message_time || ''}] ${pm.user_name || pm.user_id || 'Unknown'}: ${pm.text || ''}${formatPermalinkSuffix(pm)}`);
   }
 
   thread.replies.forEach(reply => {
-    lines.push(`  └─ [${reply.message_date || ''} ${reply.message_time || ''}] ${reply.user_name || reply.user_id || 'Unknown'}: ${reply.text || ''}`);
+    lines.push(`  └─ [${reply.message_date || ''} ${reply.message_time || ''}] ${reply.user_name || reply.user_id || 'Unknown'}: ${reply.text || ''}${formatPermalinkSuffix(reply)}`);
   });
 
   return lines.join('\n');
 }
 
+function formatPermalinkSuffix(msg) {
+  return msg.permalink ? ` <${msg.permalink}>` : '';
+}
+
+// Build the Slack permalink of a stored message that was saved without one
+function buildPermalink(msg, channelInfo) {
+  const domain = channelInfo?.teamDomain;
+  const channelId = msg.channel_id || channelInfo?.channelId;
+  if (!domain || !channelId || !msg.ts) return null;
+  let permalink = `https://${domain}.slack.com/archives/${channelId}/p${String(msg.ts).replace('.', '')}`;
+  if (msg.thread_ts && msg.thread_ts !== msg.ts) {
+    permalink += `?thread_ts=${msg.thread_ts}&cid=${channelId}`;
+  }
+  return permalink;
+}
+
+function fillPermalinks(messages, channelInfo) {
+  messages.forEach(msg => {
+    if (!msg.permalink) msg.permalink = buildPermalink(msg, channelInfo);
+  });
+  return messages;
+}
+
 function getMessageDateParts(msg) {
   const tsNumber = parseFloat(msg.ts);
   if (Number.isNaN(tsNumber)) {
@@ -309,21 +1641,114 @@ function getMessageDateParts(msg) {
   };
 }
 
-// Clear all data
-async function clearData() {
+// A DM's or group DM's name is the other members' names
+function isDirectConversation(info) {
+  if (info.conversationType) return info.conversationType === 'im' || info.conversationType === 'mpim';
+  return /^D/.test(info.channelId || '') || /^mpdm-/.test(info.channelName || '');
+}
+
+// Workspace and channel sections recorded at the top of every export.
+// Pseudonymized exports of DMs carry the channel ID in place of the name.
+function buildExportMetadata(channelInfo, channelKey, pseudonymized = false) {
+  const info = channelInfo || {};
+  const hideName = pseudonymized && isDirectConversation(info);
+  return {
+    workspace: {
+      team_id: info.teamId || null,
+      name: info.teamName || null,
+      domain: info.teamDomain || null
+    },
+    channel: {
+      channel_key: channelKey,
+      channel_id: info.channelId || null,
+      name: hideName ? info.channelId || null : info.channelName || null,
+      conversation_type: info.conversationType || null
+    },
+    custom_emoji: info.customEmoji || {}
+  };
+}
+
+// The channel's user directory, completed with senders it has no entry for
+// (e.g. messages saved before the directory existed), keyed by user ID
+function buildUserDirectory(channelInfo, messages) {
+  const directory = { ...(channelInfo?.users || {}) };
+  const missing = {};
+  messages.forEach(msg => {
+    if (!msg.user_id || directory[msg.user_id]) return;
+    missing[msg.user_id] = mergeUserEntry(missing[msg.user_id], {
+      id: msg.user_id,
+      display_name: msg.user_name || null,
+      real_name: null,
+      avatar_url: null,
+      title: null,
+      is_bot: msg.subtype === 'bot_message' || msg.subtype === 'workflow',
+      is_guest: null,
+      known_names: msg.user_name ? [msg.user_name] : [],
+      seen_ts: parseFloat(msg.ts) || null,
+      updated_at: null
+    });
+  });
+  return { ...directory, ...missing };
+}
+
+// Build a filename-safe label for a channel dataset
+function getChannelSlug(channelInfo, channelKey, pseudonymized = false) {
+  const name = pseudonymized && isDirectConversation(channelInfo || {}) ? null : channelInfo?.channelName;
+  const label = name || channelInfo?.channelId || channelKey || 'channel';
+  return label.replace(/^#/, '').replace(/[^a-zA-Z0-9_-]+/g, '_');
+}
+
+// Clear the data of one channel
+async function clearData(channelKey) {
   try {
-    await chrome.storage.local.remove(['extractedMessages', 'extractedThreads', 'extractorState']);
-    return { success: true };
+    const resolvedKey = await resolveChannelKey(channelKey);
+    if (!resolvedKey) {
+      return { success: false, error: 'No channel selected' };
+    }
+
+    await ensureStorageReady();
+    await deleteChannelData(resolvedKey);
+    return { success: true, channelKey: resolvedKey };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Count a channel's stored messages, optionally within a ts range, without
+// reading the records themselves
+async function countMessages(channelKey, fromTs, toTs) {
+  try {
+    const resolvedKey = await resolveChannelKey(channelKey);
+    if (!resolvedKey) return { success: true, channelKey: null, total: 0, inRange: 0 };
+
+    await ensureStorageReady();
+    const db = await openDatabase();
+    const tx = db.transaction('messages', 'readonly');
+    const store = tx.objectStore('messages');
+    const total = await promisifyRequest(store.count(channelKeyRange(resolvedKey)));
+
+    let inRange = total;
+    if (fromTs != null || toTs != null) {
+      // Slack ts strings have a fixed-width seconds part, so they sort like numbers
+      const lower = fromTs != null ? [resolvedKey, Number(fromTs).toFixed(6)] : [resolvedKey];
+      const upper = toTs != null ? [resolvedKey, Number(toTs).toFixed(6)] : [resolvedKey, []];
+      // IDBKeyRange.bound throws on an inverted range
+      inRange = fromTs != null && toTs != null && Number(fromTs) > Number(toTs)
+        ? 0
+        : await promisifyRequest(store.count(IDBKeyRange.bound(lower, upper)));
+    }
+
+    return { success: true, channelKey: resolvedKey, total, inRange, schemaVersion: SCHEMA_VERSION };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
 // Get statistics
-async function getStats() {
+async function getStats(channelKey) {
   try {
-    const data = await chrome.storage.local.get(['extractedMessages', 'extractorState']);
-    const messages = data.extractedMessages || [];
+    const resolvedKey = await resolveChannelKey(channelKey);
+    const messages = await getChannelMessages(resolvedKey);
 
     const users = new Set(messages.map(m => m.user_id).filter(Boolean));
     const threads = new Set(messages.filter(m => m.reply_count > 0).map(m => m.ts));
@@ -343,8 +1768,9 @@ async function getStats() {
           from: new Date(minTs * 1000).toISOString(),
           to: new Date(maxTs * 1000).toISOString()
         } : null,
-        channelInfo: data.extractorState || null,
-        storageSize: JSON.stringify(messages).length
+        channelKey: resolvedKey,
+        channelInfo: await getChannelRecord(resolvedKey),
+        storageSize: (await measureStorageUsage()).usage
       }
     };
   } catch (error) {
@@ -3,59 +3,177 @@
  * Extracts messages from Slack channels with human-like behavior
  */
 
+// Elements inside message text that may be user, channel, user group or special mentions
+const MENTION_SELECTOR = [
+  '[data-member-id]',
+  '[data-user-id]',
+  '[data-channel-id]',
+  '[data-user-group-id]',
+  '[data-subteam-id]',
+  '[data-stringify-type="mention"]',
+  '.c-mrkdwn__broadcast'
+].join(', ');
+
+// Emoji images and spans in message bodies and reactions
+const EMOJI_SELECTOR = '[data-stringify-type="emoji"], img.c-emoji, .c-emoji, [data-qa="emoji"]';
+
+// "(edited)" label Slack shows after changed messages
+const EDITED_LABEL_SELECTOR = '[data-qa="message_edited_label"], .c-message__edited_label';
+const EDITED_MARKER_PATTERN = buildEditedMarkerPattern();
+
+// Wording of join/leave/topic/purpose notices, matched against the message text
+const SYSTEM_MESSAGE_PATTERNS = buildSystemMessagePatterns();
+
+// Fields parsed from the message text; they change together when the text is edited
+const TEXT_DERIVED_FIELDS = ['text_markdown', 'mentions', 'links', 'unfurls', 'emojis', 'code_blocks', 'is_edited', 'edited_at'];
+
+// Profile fields of a user directory entry; newer observations overwrite them
+const USER_PROFILE_FIELDS = ['display_name', 'real_name', 'avatar_url', 'title', 'is_bot', 'is_guest'];
+
+// Attributes copied into diagnostic snapshots as-is; every other value is masked
+const SNAPSHOT_KEPT_ATTRIBUTES = new Set([
+  'class', 'role', 'type', 'dir', 'tabindex', 'datetime',
+  'data-qa', 'data-stringify-type', 'data-msg-ts', 'data-ts', 'data-thread-ts',
+  'data-message-ts', 'data-item-key', 'data-message-sender'
+]);
+
+// URL parts that stay readable in masked links, so snapshots keep Slack's route shapes
+const SNAPSHOT_URL_WORDS = new Set([
+  'http', 'https', 'www', 'app', 'slack', 'com', 'archives', 'team', 'files',
+  'files-pri', 'files-tmb', 'client', 'services', 'apps', 'emoji', 'slack-edge'
+]);
+
+// Longest snapshot kept per element (characters of sanitized HTML)
+const MAX_SNAPSHOT_LENGTH = 20000;
+
 class SlackExtractor {
   constructor() {
     this.messages = new Map(); // Use Map to avoid duplicates
     this.threads = new Map();
+    this.dirtyMessages = new Set(); // Message ts changed since the last save
+    this.dirtyThreads = new Set(); // Thread ts changed since the last save
     this.users = new Set();
+    this.userIdsByName = new Map(); // Display name -> user ID, for resolving reaction users
+    this.customEmoji = {}; // Custom emoji name -> image URL, saved with the channel record
+    this.userDirectory = {}; // User ID -> profile entry, saved with the channel record
     this.pendingThreads = new Set(); // Threads with replies to extract
     this.extractedThreads = new Set(); // Threads already extracted
     this.threadQueue = []; // Queue of threads to extract immediately
     this.isRunning = false;
     this.isPaused = false;
     this.isCompleted = false;
+    this.isExtracting = false; // continueExtraction() is running
     this.extractionPhase = 'idle'; // 'idle', 'scrolling', 'threads', 'completed'
     this.settings = {
       scrollDelay: 2, // Faster default for large channels
       includeThreads: true,
       autoSaveInterval: 100,
       timeRangeFrom: '',
-      timeRangeTo: ''
+      timeRangeTo: '',
+      syncMode: false, // Only fetch messages newer than the last run
+      detectChanges: false, // Compare re-extracted messages with stored copies
+      diagnosticsMode: false, // Save sanitized snapshots of messages that fail to parse
+      syncThreadLookbackDays: 7 // Re-check threads active within this window before the last run
     };
     this.lastSaveTime = null;
     this.lastSaveCount = 0;
     this.channelName = '';
     this.channelId = '';
+    this.teamId = '';
+    this.teamName = '';
+    this.teamDomain = '';
+    this.conversationType = ''; // 'public_channel', 'private_channel', 'im' or 'mpim'
+    this.channelKey = ''; // Storage namespace: `${teamId}:${channelId}`
     this.scrollProgress = 0;
     this.observer = null;
     this.activeTimeRange = null;
+    this.syncState = null; // { newestStoredTs, boundaryTs } while a sync run is active
+    this.seenInRun = new Set(); // Channel-level message ts on screen during this run, parsed or not
+    this.scanComplete = false; // Phase 1 scrolled all the way to its end
+    this.scanInterrupted = false; // Phase 1 was paused, so it may have skipped messages
+    this.selectorProfile = mergeSelectorProfile(null); // Active DOM selector profile
+    this.expandedSelectors = {}; // Field -> selectors with locale placeholders filled in
+    this.diagnosedElements = new Set(); // Snapshots already captured this run (ts or HTML + reason)
+    this.pendingDiagnostics = []; // Snapshots not yet sent to the background store
   }
 
   // Initialize extractor
   async init() {
-    await this.loadState();
+    await this.loadSelectorProfile();
     this.detectChannel();
+    await this.loadState();
     this.setupMessageObserver();
     this.log('Extractor initialized', 'info');
+
+    // Lets the background start the next channel of a batch queue after navigation
+    chrome.runtime.sendMessage({
+      type: 'CONTENT_READY',
+      channelKey: this.channelKey,
+      channelId: this.channelId
+    });
+  }
+
+  // Wait for Slack to render the message list (e.g. right after navigating to a channel)
+  async waitForMessageList(timeoutMs) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+      const messageList = this.queryFirst(document, 'messageList');
+      if (messageList && this.getMessageElements(messageList).length > 0) return true;
+      await this.sleep(500);
+    }
+    return false;
+  }
+
+  // Message elements in the list, from the first messageContainer selector that matches
+  getMessageElements(messageList) {
+    for (const selector of this.getSelectors('messageContainer')) {
+      const elements = messageList.querySelectorAll(selector);
+      if (elements.length > 0) return Array.from(elements);
+    }
+    return [];
+  }
+
+  // End a run that cannot continue and tell the popup and batch queue why
+  failExtraction(reason) {
+    this.isRunning = false;
+    this.isPaused = false;
+    this.extractionPhase = 'idle';
+    this.log(reason, 'error');
+    chrome.runtime.sendMessage({ type: 'ERROR', error: reason, channelKey: this.channelKey });
+  }
+
+  // List conversations shown in the Slack sidebar, for picking batch queue channels
+  listSidebarChannels() {
+    const channels = [];
+    const seen = new Set();
+    document.querySelectorAll('[data-qa-channel-sidebar-channel-id]').forEach(item => {
+      const channelId = item.getAttribute('data-qa-channel-sidebar-channel-id');
+      if (!channelId || seen.has(channelId)) return;
+      seen.add(channelId);
+
+      const nameEl = item.querySelector('.p-channel_sidebar__name, [data-qa="channel_sidebar_name"]');
+      channels.push({
+        channelId,
+        channelName: (nameEl || item).textContent.trim(),
+        type: item.getAttribute('data-qa-channel-sidebar-channel-type') || null
+      });
+    });
+    return { teamId: this.teamId, channels };
   }
 
   // Get the date range of currently visible messages
   getVisibleDateRange() {
-    const messageList = document.querySelector('.c-message_list');
+    const messageList = this.queryFirst(document, 'messageList');
     if (!messageList) return null;
 
-    let messageElements = messageList.querySelectorAll('[data-qa="message_container"][data-msg-ts]');
-    if (messageElements.length === 0) {
-      messageElements = messageList.querySelectorAll('[data-msg-ts]');
-    }
-
+    const messageElements = this.getMessageElements(messageList);
     if (messageElements.length === 0) return null;
 
     let oldestTs = null;
     let newestTs = null;
 
     messageElements.forEach(el => {
-      const tsAttr = this.normalizeSlackTs(el.getAttribute('data-msg-ts'));
+      const tsAttr = this.readMessageTs(el);
       if (!tsAttr) return;
       const tsNumber = this.parseSlackTimestamp(tsAttr);
       if (tsNumber === null) return;
@@ -275,21 +393,40 @@ class SlackExtractor {
     return null;
   }
 
-  // Load saved state
+  // Load saved state for the current channel from the background message store
   async loadState() {
+    if (!this.channelKey) return;
+
     try {
-      const data = await chrome.storage.local.get(['extractedMessages', 'extractedThreads', 'extractorState']);
-      if (data.extractedMessages) {
-        data.extractedMessages.forEach(msg => {
-          this.applyMessageTimeFields(msg);
-          this.messages.set(msg.ts, msg);
-          if (msg.user_id) this.users.add(msg.user_id);
-        });
-        this.log(`Loaded ${this.messages.size} existing messages`, 'info');
+      const response = await chrome.runtime.sendMessage({
+        type: 'LOAD_STATE',
+        channelKey: this.channelKey,
+        channelId: this.channelId
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      // Known users let senders shown only by name resolve to their ID
+      Object.values(response.channel?.users || {}).forEach(entry => {
+        this.userDirectory[entry.id] = entry;
+        (entry.known_names || []).forEach(name => this.userIdsByName.set(name, entry.id));
+      });
+
+      // Records arrive upgraded to the current schema by the background migrations
+      response.messages.forEach(msg => {
+        this.messages.set(msg.ts, msg);
+        if (msg.user_id) this.users.add(msg.user_id);
+        if (msg.user_id && msg.user_name) this.userIdsByName.set(msg.user_name, msg.user_id);
+      });
+      if (this.messages.size > 0) {
+        this.log(`Loaded ${this.messages.size} existing messages for ${this.channelName || this.channelId}`, 'info');
       }
-      if (Array.isArray(data.extractedThreads)) {
-        this.hydrateThreads(data.extractedThreads);
+
+      if (Array.isArray(response.threads) && response.threads.length > 0) {
+        this.hydrateThreads(response.threads);
       } else if (this.messages.size > 0) {
+        // Rebuilt threads are marked dirty and written on the next save
         this.rebuildThreadsFromMessages();
       }
     } catch (error) {
@@ -297,41 +434,166 @@ class SlackExtractor {
     }
   }
 
-  // Save current state
+  // Save records changed since the last save into the channel's namespace
   async saveState() {
+    if (!this.channelKey) {
+      this.log('Cannot save: channel not detected', 'error');
+      return;
+    }
+
     try {
-      const messages = Array.from(this.messages.values());
-      await chrome.storage.local.set({
-        extractedMessages: messages,
-        extractedThreads: this.serializeThreads(),
-        extractorState: {
-          channelId: this.channelId,
-          channelName: this.channelName,
-          lastSaveTime: Date.now(),
-          timeRange: this.activeTimeRange
-        }
+      const dirtyMessageTs = Array.from(this.dirtyMessages);
+      const dirtyThreadTs = Array.from(this.dirtyThreads);
+      const saveTime = Date.now();
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_STATE',
+        channelKey: this.channelKey,
+        channel: {
+          ...this.getWorkspaceInfo(),
+          lastSaveTime: saveTime,
+          timeRange: this.activeTimeRange,
+          customEmoji: this.customEmoji,
+          users: this.userDirectory
+        },
+        messages: dirtyMessageTs.map(ts => this.messages.get(ts)).filter(Boolean),
+        threads: this.serializeThreads(dirtyThreadTs)
       });
-      this.lastSaveTime = Date.now();
-      this.lastSaveCount = messages.length;
-      chrome.runtime.sendMessage({ type: 'SAVED' });
-      this.log(`Saved ${messages.length} messages`, 'success');
+      if (response && response.quotaExceeded) {
+        this.handleQuotaExceeded(response.usage);
+        return;
+      }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      // Only forget what was sent; records changed during the save stay dirty
+      dirtyMessageTs.forEach(ts => this.dirtyMessages.delete(ts));
+      dirtyThreadTs.forEach(ts => this.dirtyThreads.delete(ts));
+      this.lastSaveTime = saveTime;
+      this.lastSaveCount = this.messages.size;
+      chrome.runtime.sendMessage({ type: 'SAVED', channelKey: this.channelKey });
+      this.log(`Saved ${dirtyMessageTs.length} changed messages (${this.messages.size} total)`, 'success');
     } catch (error) {
       this.log(`Failed to save: ${error.message}`, 'error');
     }
   }
 
+  // Storage is full: pause instead of dropping data. Unsaved records stay dirty
+  // in memory and are written on the next save after the user frees space.
+  handleQuotaExceeded(usage) {
+    if (this.isRunning && !this.isPaused) {
+      this.pause();
+    }
+    this.log(`Storage almost full (${usage?.percent ?? '?'}% used), extraction paused. Export and trim old data, then resume.`, 'error');
+    chrome.runtime.sendMessage({
+      type: 'QUOTA_EXCEEDED',
+      channelKey: this.channelKey,
+      usage,
+      unsavedCount: this.dirtyMessages.size
+    });
+  }
+
+  // Drop messages older than a cutoff after the background trimmed them from storage
+  trimMessages(channelKey, beforeTs) {
+    if (channelKey !== this.channelKey) return 0;
+
+    let removed = 0;
+    this.messages.forEach((msg, ts) => {
+      const tsNumber = this.parseSlackTimestamp(ts);
+      if (tsNumber === null || tsNumber >= beforeTs) return;
+      this.messages.delete(ts);
+      this.dirtyMessages.delete(ts);
+      removed++;
+    });
+
+    if (removed > 0) {
+      this.users = new Set(Array.from(this.messages.values()).map(msg => msg.user_id).filter(Boolean));
+      this.rebuildThreadsFromMessages();
+      this.lastSaveCount = this.messages.size;
+      this.log(`Trimmed ${removed} messages older than ${new Date(beforeTs * 1000).toLocaleDateString()}`, 'info');
+    }
+    return removed;
+  }
+
+  // Reload stored data after an import; the thread index is rebuilt from the merged messages
+  async reloadState(channelKey) {
+    if (channelKey !== this.channelKey) return false;
+    if (this.isRunning) {
+      this.log('Imported data will be picked up after the current extraction', 'warning');
+      return false;
+    }
+
+    this.messages.clear();
+    this.threads.clear();
+    this.users.clear();
+    this.userIdsByName.clear();
+    this.customEmoji = {};
+    this.userDirectory = {};
+    this.dirtyMessages.clear();
+    this.dirtyThreads.clear();
+    await this.loadState();
+    this.lastSaveCount = this.messages.size;
+    if (this.dirtyThreads.size > 0) {
+      await this.saveState();
+    }
+    return true;
+  }
+
+  // Switch in-memory data to the channel currently open in Slack
+  async switchChannelIfNeeded() {
+    const previousKey = this.channelKey;
+    this.detectChannel();
+    if (this.channelKey === previousKey) return false;
+
+    this.messages.clear();
+    this.threads.clear();
+    this.users.clear();
+    this.userIdsByName.clear();
+    this.customEmoji = {};
+    this.userDirectory = {};
+    this.dirtyMessages.clear();
+    this.dirtyThreads.clear();
+    this.lastSaveTime = null;
+    this.lastSaveCount = 0;
+    this.scrollProgress = 0;
+    this.isCompleted = false;
+    await this.loadState();
+    this.lastSaveCount = this.messages.size;
+    this.log(`Switched to channel ${this.channelName || this.channelId}`, 'info');
+    return true;
+  }
+
   // Detect current channel
   detectChannel() {
+    this.channelName = '';
+
     // Try to get channel name from page
     const channelHeader = document.querySelector('[data-qa="channel_name"]');
     if (channelHeader) {
       this.channelName = channelHeader.textContent.trim();
     }
 
-    // Try to get channel ID from URL
-    const urlMatch = window.location.pathname.match(/\/([A-Z0-9]+)$/);
-    if (urlMatch) {
-      this.channelId = urlMatch[1];
+    // Try to get workspace and channel ID from URL (/client/T…/C…). Both are
+    // re-derived every time so a switch never keeps the previous team or channel.
+    this.channelId = '';
+    this.channelKey = '';
+    const clientMatch = window.location.pathname.match(/\/client\/([A-Z0-9]+)\/([A-Z0-9]+)/);
+    if (clientMatch) {
+      this.teamId = clientMatch[1];
+      this.channelId = clientMatch[2];
+    } else {
+      // "/client/T…" alone is a workspace page, not a channel
+      const teamMatch = window.location.pathname.match(/^\/client\/([A-Z0-9]+)/);
+      this.teamId = teamMatch ? teamMatch[1] : this.detectActiveTeamId();
+      const urlMatch = !teamMatch && window.location.pathname.match(/\/([A-Z0-9]+)$/);
+      if (urlMatch) {
+        this.channelId = urlMatch[1];
+      }
+    }
+
+    if (this.channelId) {
+      this.channelKey = `${this.teamId || 'unknown'}:${this.channelId}`;
     }
 
     // Alternative: look for it in the DOM
@@ -341,6 +603,101 @@ class SlackExtractor {
         this.channelName = titleEl.textContent.trim();
       }
     }
+
+    this.detectWorkspace();
+    this.conversationType = this.detectConversationType();
+  }
+
+  // Team ID for URLs without a /client/T… segment: Slack records the team it
+  // last opened in localStorage. Empty when unknown (stored under "unknown:").
+  detectActiveTeamId() {
+    try {
+      const localConfig = JSON.parse(window.localStorage.getItem('localConfig_v2') || 'null');
+      const teamId = localConfig?.lastActiveTeamId;
+      if (typeof teamId === 'string' && /^[TE][A-Z0-9]+$/.test(teamId)) {
+        return teamId;
+      }
+    } catch (error) {
+      // Unreadable or changed config format
+    }
+    return '';
+  }
+
+  // Detect workspace name and domain for the current team
+  detectWorkspace() {
+    this.teamName = '';
+    this.teamDomain = '';
+
+    // Slack keeps signed-in teams in localStorage (same origin as the content script)
+    try {
+      const localConfig = JSON.parse(window.localStorage.getItem('localConfig_v2') || 'null');
+      const team = localConfig?.teams?.[this.teamId];
+      if (team) {
+        this.teamName = team.name || '';
+        this.teamDomain = team.domain || '';
+        if (!this.teamDomain && team.url) {
+          const domainMatch = team.url.match(/^https?:\/\/([^./]+)\.slack\.com/);
+          if (domainMatch) this.teamDomain = domainMatch[1];
+        }
+      }
+    } catch (error) {
+      // Unreadable or changed config format, fall back to the DOM
+    }
+
+    if (!this.teamName) {
+      const teamNameEl = document.querySelector('[data-qa="team-name"], .p-ia__sidebar_header__team_name');
+      if (teamNameEl) {
+        this.teamName = teamNameEl.textContent.trim();
+      }
+    }
+
+    // Page title: "channel (Channel) - Workspace - Slack"
+    if (!this.teamName) {
+      const titleParts = document.title.split(' - ');
+      if (titleParts.length >= 3 && titleParts[titleParts.length - 1].trim() === 'Slack') {
+        this.teamName = titleParts[titleParts.length - 2].trim();
+      }
+    }
+  }
+
+  // Classify the open conversation using Slack's API type names
+  detectConversationType() {
+    if (!this.channelId) return '';
+
+    // The sidebar entry for the open conversation carries its type
+    const sidebarItem = document.querySelector(`[data-qa-channel-sidebar-channel-id="${this.channelId}"]`);
+    const sidebarType = sidebarItem?.getAttribute('data-qa-channel-sidebar-channel-type');
+    const sidebarTypes = {
+      channel: 'public_channel',
+      private: 'private_channel',
+      im: 'im',
+      mpim: 'mpim'
+    };
+    if (sidebarType && sidebarTypes[sidebarType]) {
+      return sidebarTypes[sidebarType];
+    }
+
+    if (this.channelId.startsWith('D')) return 'im';
+    if (this.channelName.startsWith('mpdm-') || /,/.test(this.channelName)) return 'mpim';
+
+    const lockIcon = document.querySelector(
+      '[data-qa="channel_header_private_icon"], [data-qa="channel-header-lock-icon"], .p-view_header__channel_title .c-icon--lock'
+    );
+    if (lockIcon || this.channelId.startsWith('G')) return 'private_channel';
+
+    return 'public_channel';
+  }
+
+  // Workspace and channel identity stored with every saved batch
+  getWorkspaceInfo() {
+    return {
+      teamId: this.teamId,
+      teamName: this.teamName,
+      teamDomain: this.teamDomain,
+      channelId: this.channelId,
+      channelName: this.channelName,
+      conversationType: this.conversationType
+    };
   }
 
   // Setup mutation observer for new messages
@@ -360,50 +717,114 @@ class SlackExtractor {
     });
   }
 
-  // Get message pane element (the message list container)
-  getMessagePane() {
-    // Primary: the message list container
-    const messageList = document.querySelector('.c-message_list');
-    if (messageList) return messageList;
+  // Load the selector profile chosen on the options page
+  async loadSelectorProfile() {
+    const { selectorProfiles = {}, activeSelectorProfile = DEFAULT_SELECTOR_PROFILE_NAME } =
+      await chrome.storage.local.get(['selectorProfiles', 'activeSelectorProfile']);
+    this.selectorProfile = mergeSelectorProfile(selectorProfiles[activeSelectorProfile] || null);
+    this.expandedSelectors = {};
+    if (this.selectorProfile.name !== DEFAULT_SELECTOR_PROFILE_NAME) {
+      this.log(`Using selector profile "${this.selectorProfile.name}"`, 'info');
+    }
+  }
 
-    // Fallback selectors
-    const selectors = [
-      '[data-qa="message_pane"]',
-      '.c-virtual_list__scroll_container',
-      '.p-message_pane__scrollable',
-      '[data-qa="slack_kit_scrollbar"]'
-    ];
+  // Fill `{reply}`, `{thread}` and `{close}` with the label in every supported language
+  expandSelectors(selectors) {
+    return selectors.flatMap(selector => {
+      const placeholder = selector.match(/\{(reply|thread|close)\}/);
+      if (!placeholder) return [selector];
+      return getLocaleWords(placeholder[1]).map(word => selector.replace(placeholder[0], word));
+    });
+  }
 
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) return element;
+  // Selectors of one profile field, in priority order
+  getSelectors(key) {
+    if (!this.expandedSelectors[key]) {
+      this.expandedSelectors[key] = this.expandSelectors(this.selectorProfile.selectors[key]);
     }
+    return this.expandedSelectors[key];
+  }
 
+  // First element matched by a field's selectors, trying them in priority order
+  queryFirst(root, key) {
+    for (const selector of this.getSelectors(key)) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
     return null;
   }
 
-  // Get scrollable container for messages
-  getScrollContainer() {
-    // Primary: the scrollbar hider inside message list
-    const messageList = document.querySelector('.c-message_list');
-    if (messageList) {
-      const scrollHider = messageList.querySelector('.c-scrollbar__hider');
-      if (scrollHider && this.isScrollable(scrollHider)) {
-        return scrollHider;
-      }
+  // Run every selector of a profile against the open Slack page. Message fields
+  // are counted as the number of visible messages they match in.
+  checkSelectors(profile) {
+    const previousProfile = this.selectorProfile;
+    this.selectorProfile = mergeSelectorProfile(profile);
+    this.expandedSelectors = {};
+
+    try {
+      const messageList = this.queryFirst(document, 'messageList');
+      const threadPanel = this.queryFirst(document, 'threadPanel');
+      const userPopover = this.queryFirst(document, 'userPopover');
+      const sampleMessages = messageList ? this.getMessageElements(messageList) : [];
+
+      const results = Object.entries(SELECTOR_FIELDS).map(([key, field]) => {
+        const roots = {
+          document: [document],
+          messageList: messageList ? [messageList] : [],
+          message: sampleMessages,
+          threadPanel: threadPanel ? [threadPanel] : [],
+          userPopover: userPopover ? [userPopover] : []
+        }[field.scope];
+
+        const selectors = this.selectorProfile.selectors[key].map(selector => {
+          let matches = 0;
+          try {
+            const expanded = this.expandSelectors([selector]).join(', ');
+            roots.forEach(root => {
+              matches += field.scope === 'message'
+                ? (root.querySelector(expanded) ? 1 : 0)
+                : root.querySelectorAll(expanded).length;
+            });
+            return { selector, matches };
+          } catch (error) {
+            return { selector, matches: 0, error: 'Invalid selector' };
+          }
+        });
+
+        return {
+          key,
+          label: field.label,
+          scope: field.scope,
+          // Nothing to search when the scope element is missing (e.g. no thread open)
+          available: roots.length > 0,
+          selectors
+        };
+      });
+
+      return { success: true, profileName: this.selectorProfile.name, sampleSize: sampleMessages.length, results };
+    } finally {
+      this.selectorProfile = previousProfile;
+      this.expandedSelectors = {};
     }
+  }
 
-    // Fallback: try other known scrollable containers
-    const fallbackSelectors = [
-      '.c-message_list .c-scrollbar__hider',
-      '.p-message_pane__scrollable',
-      '[data-qa="slack_kit_scrollbar"]',
-      '.c-virtual_list__scroll_container'
-    ];
+  // Get message pane element (the message list container)
+  getMessagePane() {
+    // Primary: the message list container
+    const messageList = this.queryFirst(document, 'messageList');
+    if (messageList) return messageList;
+
+    // Fallback: the profile's message pane selectors
+    return this.queryFirst(document, 'messagePane');
+  }
 
-    for (const selector of fallbackSelectors) {
-      const element = document.querySelector(selector);
-      if (this.isScrollable(element)) return element;
+  // Get scrollable container for messages
+  getScrollContainer() {
+    // Primary: the scrollbar hider inside the message list, then other known
+    // scrollable containers
+    for (const selector of this.getSelectors('scrollContainer')) {
+      const element = Array.from(document.querySelectorAll(selector)).find(candidate => this.isScrollable(candidate));
+      if (element) return element;
     }
 
     return null;
@@ -439,12 +860,28 @@ class SlackExtractor {
     this.pendingThreads = new Set(); // Track threads that need reply extraction
     this.extractedThreads = new Set(); // Track threads already extracted
     this.threadQueue = []; // Queue for immediate thread extraction
+    this.seenInRun = new Set();
+    this.scanComplete = false;
+    this.scanInterrupted = false;
+    this.diagnosedElements = new Set();
 
     this.log('Starting extraction...', 'info');
-    this.detectChannel();
+    if (!(await this.waitForMessageList(15000))) {
+      this.failExtraction('Message list not found, is a channel open?');
+      return;
+    }
+    await this.switchChannelIfNeeded();
+    if (!this.channelKey) {
+      this.failExtraction('Channel not detected, open a channel and try again');
+      return;
+    }
+    this.syncState = this.settings.syncMode ? this.prepareSync() : null;
 
-    // Phase 0: Quick jump to target date if needed
-    const jumpInfo = this.needsJumpToDate();
+    // Phase 0: Quick jump to target date if needed (sync always starts from the newest messages)
+    let jumpInfo = this.needsJumpToDate();
+    if (!jumpInfo && this.syncState) {
+      jumpInfo = { direction: 'bottom', targetTs: null };
+    }
     if (jumpInfo) {
       this.extractionPhase = 'jumping';
       this.log(`Phase 0: Quick jumping to target date range...`, 'info');
@@ -463,16 +900,119 @@ class SlackExtractor {
     this.extractionPhase = 'scrolling';
     this.log('Phase 1: Scrolling through channel...', 'info');
     this.extractVisibleMessages();
-    await this.autoScroll();
+    await this.continueExtraction();
+  }
+
+  // Run the phases left from extractionPhase on. Returns early while paused;
+  // resume() calls it again to carry on where the run stopped.
+  async continueExtraction() {
+    this.isExtracting = true;
+    try {
+      if (this.extractionPhase === 'scrolling') {
+        if (!(await this.autoScroll())) return;
+        this.extractionPhase = 'threads';
+      }
+
+      // Phase 2: Extract thread replies if enabled
+      if (this.settings.includeThreads && this.pendingThreads.size > 0) {
+        this.log(`Phase 2: Extracting replies from ${this.pendingThreads.size} threads...`, 'info');
+        await this.extractAllThreadReplies();
+      }
+
+      await this.finishExtraction();
+    } finally {
+      this.isExtracting = false;
+    }
+  }
 
-    // Phase 2: Extract thread replies if enabled
-    if (this.settings.includeThreads && this.pendingThreads.size > 0) {
-      this.extractionPhase = 'threads';
-      this.log(`Phase 2: Extracting replies from ${this.pendingThreads.size} threads...`, 'info');
-      await this.extractAllThreadReplies();
+  // Mark the run complete once both phases are done. COMPLETED is only sent from
+  // here, so a batch queue never moves on while thread replies are still missing.
+  async finishExtraction() {
+    if (!this.isRunning || this.isPaused) return;
+
+    // Only a full scan shows which messages are gone; after a pause or an early
+    // stop, anything not yet scrolled past would be flagged
+    if (this.settings.detectChanges && this.scanComplete && !this.scanInterrupted) {
+      const channelMessages = Array.from(this.messages.values())
+        .filter(msg => !msg.is_thread_reply)
+        .map(msg => msg.ts);
+      this.flagMissingMessages(channelMessages, this.seenInRun);
     }
+    await this.saveState();
+    // Storage filled up: stay paused with the unsaved records, resume() saves again
+    if (this.isPaused) return;
 
+    this.isCompleted = true;
+    this.isRunning = false;
     this.extractionPhase = 'completed';
+    chrome.runtime.sendMessage({
+      type: 'COMPLETED',
+      channelKey: this.channelKey,
+      messageCount: this.messages.size
+    });
+    this.log(`Extraction complete! Total messages: ${this.messages.size}`, 'success');
+  }
+
+  // Work out where a sync run can stop: at the newest stored message, or earlier
+  // if threads started before it were still active and may have new replies
+  prepareSync() {
+    let newestStoredTs = null;
+    this.messages.forEach(msg => {
+      if (msg.is_thread_reply) return;
+      const tsNumber = this.parseSlackTimestamp(msg.ts);
+      if (tsNumber !== null && (newestStoredTs === null || tsNumber > newestStoredTs)) {
+        newestStoredTs = tsNumber;
+      }
+    });
+
+    if (newestStoredTs === null) {
+      this.log('Sync mode: no stored messages for this channel, running a full extraction', 'info');
+      return null;
+    }
+
+    let boundaryTs = newestStoredTs;
+    const lookbackStart = newestStoredTs - this.settings.syncThreadLookbackDays * 86400;
+    this.threads.forEach(thread => {
+      const rootTs = this.parseSlackTimestamp(thread.root_ts);
+      const lastActivityTs = this.parseSlackTimestamp(thread.latest_reply_ts) ?? rootTs;
+      if (rootTs === null || lastActivityTs === null || lastActivityTs < lookbackStart) return;
+      boundaryTs = Math.min(boundaryTs, rootTs);
+    });
+
+    this.log(`Sync mode: fetching messages newer than ${new Date(newestStoredTs * 1000).toLocaleString()}`, 'info');
+    if (boundaryTs < newestStoredTs) {
+      this.log(`Sync mode: re-checking threads active since ${new Date(boundaryTs * 1000).toLocaleString()}`, 'info');
+    }
+
+    return { newestStoredTs, boundaryTs };
+  }
+
+  // A stored thread is stale when Slack shows a different reply count than the
+  // stored root, or more replies than we have recorded. The thread's age does not
+  // matter: any root scrolled past is judged.
+  isThreadStale(storedMsg, parsedMsg) {
+    if (!parsedMsg.reply_count) return false;
+    const thread = this.threads.get(storedMsg.ts);
+    const knownReplies = thread ? thread.reply_ts.size : 0;
+    return parsedMsg.reply_count > knownReplies || parsedMsg.reply_count !== (storedMsg.reply_count || 0);
+  }
+
+  // Update a stale stored thread root and queue its replies for re-extraction
+  refreshStaleThread(storedMsg, parsedMsg, el) {
+    storedMsg.reply_count = parsedMsg.reply_count;
+    storedMsg.thread_ts = storedMsg.thread_ts || storedMsg.ts;
+    this.dirtyMessages.add(storedMsg.ts);
+    this.updateThreadIndex(storedMsg);
+
+    if (this.pendingThreads.has(storedMsg.ts) || this.extractedThreads.has(storedMsg.ts)) return;
+    this.log(`Thread ${storedMsg.ts} has new replies (${parsedMsg.reply_count}), re-checking`, 'info');
+    this.pendingThreads.add(storedMsg.ts);
+    this.threadQueue.push({ ts: storedMsg.ts, el });
+  }
+
+  shouldStopForSync(oldestVisibleTs) {
+    if (!this.syncState || !oldestVisibleTs) return false;
+    return oldestVisibleTs <= this.syncState.boundaryTs;
   }
 
   // Process queued threads immediately (while they're still in DOM)
@@ -535,28 +1075,8 @@ class SlackExtractor {
     el.scrollIntoView({ behavior: 'smooth', block: 'center' });
     await this.sleep(400);
 
-    // Try multiple selectors for replies button
-    const replyBtnSelectors = [
-      '[data-qa="replies_button_count"]',
-      '[data-qa="replies_button"]',
-      '[data-qa="message-action-bar-thread-reply-button"]',
-      'button[aria-label*="repl"]',
-      'button[aria-label*="Repl"]',
-      '.c-message__reply_count',
-      '[class*="ThreadRepliesLink"]',
-      'a[class*="reply"]',
-      'button[class*="reply"]'
-    ];
-
-    let repliesBtn = null;
-    for (const selector of replyBtnSelectors) {
-      repliesBtn = el.querySelector(selector);
-      if (repliesBtn) {
-        this.log(`Found replies button with: ${selector}`, 'info');
-        break;
-      }
-    }
-
+    // Replies button, in the profile's priority order
+    const repliesBtn = this.queryFirst(el, 'replyButton');
     if (repliesBtn) {
       repliesBtn.click();
       await this.sleep(600);
@@ -568,7 +1088,7 @@ class SlackExtractor {
     await this.sleep(300);
 
     // Look for any clickable reply element
-    const replyEl = el.querySelector('[class*="reply"], [class*="Reply"], [aria-label*="reply"], [aria-label*="Reply"]');
+    const replyEl = this.queryFirst(el, 'replyLink');
     if (replyEl) {
       replyEl.click();
       await this.sleep(600);
@@ -637,23 +1157,14 @@ class SlackExtractor {
   async openThread(threadTs) {
     this.log(`Attempting to open thread: ${threadTs}`, 'info');
 
-    const messageList = document.querySelector('.c-message_list');
+    const messageList = this.queryFirst(document, 'messageList');
     if (!messageList) {
       this.log('Message list not found', 'warning');
       return false;
     }
 
-    // Find message with this thread_ts - try multiple strategies
-    let messageEl = messageList.querySelector(`[data-msg-ts="${threadTs}"]`);
-
-    if (!messageEl) {
-      // Try finding by iterating through all messages
-      const allMessages = messageList.querySelectorAll('[data-qa="message_container"], [data-msg-ts]');
-      messageEl = Array.from(allMessages).find(el => {
-        const ts = this.normalizeSlackTs(el.getAttribute('data-msg-ts'));
-        return ts === threadTs;
-      });
-    }
+    // Find the message with this thread_ts among the visible messages
+    const messageEl = this.getMessageElements(messageList).find(el => this.readMessageTs(el) === threadTs);
 
     if (!messageEl) {
       this.log(`Message element not found for thread ${threadTs} (may have scrolled out of view)`, 'warning');
@@ -666,28 +1177,8 @@ class SlackExtractor {
     messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
     await this.sleep(500);
 
-    // Try multiple selectors for replies button (modern Slack)
-    const replyBtnSelectors = [
-      '[data-qa="replies_button_count"]',
-      '[data-qa="replies_button"]',
-      '[data-qa="message-action-bar-thread-reply-button"]',
-      'button[aria-label*="repl"]',
-      'button[aria-label*="Repl"]',
-      '.c-message__reply_count',
-      '[class*="ThreadRepliesLink"]',
-      'a[class*="reply"]',
-      'button[class*="reply"]'
-    ];
-
-    let repliesBtn = null;
-    for (const selector of replyBtnSelectors) {
-      repliesBtn = messageEl.querySelector(selector);
-      if (repliesBtn) {
-        this.log(`Found replies button with: ${selector}`, 'info');
-        break;
-      }
-    }
-
+    // Replies button, in the profile's priority order
+    const repliesBtn = this.queryFirst(messageEl, 'replyButton');
     if (repliesBtn) {
       repliesBtn.click();
       await this.sleep(500);
@@ -700,7 +1191,7 @@ class SlackExtractor {
     await this.sleep(300);
 
     // Try clicking on reply count text directly
-    const replyCountText = messageEl.querySelector('[class*="reply"], [class*="Reply"]');
+    const replyCountText = this.queryFirst(messageEl, 'replyLink');
     if (replyCountText) {
       replyCountText.click();
       await this.sleep(500);
@@ -720,23 +1211,9 @@ class SlackExtractor {
   }
 
   async waitForThreadPanelOpen(timeoutMs) {
-    const threadPanelSelectors = [
-      '[data-qa="threads_view"]',
-      '[data-qa="threads_flexpane"]',
-      '[data-qa="message_pane_thread"]',
-      '.p-threads_flexpane',
-      '.p-flexpane__inside_body',
-      '[aria-label*="thread" i]',
-      '[aria-label*="Thread" i]',
-      'section[class*="Thread"]',
-      'div[class*="ThreadPanel"]',
-      '.p-workspace__secondary_view',
-      '.p-flexpane'
-    ];
-
     const startTime = Date.now();
     while (Date.now() - startTime < timeoutMs) {
-      const found = threadPanelSelectors.some(selector => document.querySelector(selector));
+      const found = Boolean(this.queryFirst(document, 'threadPanel'));
       if (found) return true;
       await this.sleep(150);
     }
@@ -750,22 +1227,8 @@ class SlackExtractor {
     await this.sleep(1000);
 
     // Try multiple selectors for thread panel (modern Slack)
-    const threadPanelSelectors = [
-      '[data-qa="threads_view"]',
-      '[data-qa="threads_flexpane"]',
-      '[data-qa="message_pane_thread"]',
-      '.p-threads_flexpane',
-      '.p-flexpane__inside_body',
-      '[aria-label*="thread" i]',
-      '[aria-label*="Thread" i]',
-      'section[class*="Thread"]',
-      'div[class*="ThreadPanel"]',
-      '.p-workspace__secondary_view',
-      '.p-flexpane'
-    ];
-
     let threadPanel = null;
-    for (const selector of threadPanelSelectors) {
+    for (const selector of this.getSelectors('threadPanel')) {
       threadPanel = document.querySelector(selector);
       if (threadPanel) {
         this.log(`Found thread panel with: ${selector}`, 'info');
@@ -774,23 +1237,13 @@ class SlackExtractor {
     }
 
     if (!threadPanel) {
-      this.log('Thread panel not found after trying all selectors', 'warning');
-      // Log what elements exist for debugging
-      const flexPanes = document.querySelectorAll('[class*="flexpane"], [class*="Flexpane"], [class*="thread"], [class*="Thread"]');
-      this.log(`Found ${flexPanes.length} potential panel elements`, 'info');
+      this.log('Thread panel not found after trying all selectors, check the profile on the options page', 'warning');
       return 0;
     }
 
     // Find scroll container in thread panel - try multiple strategies
-    const scrollContainerSelectors = [
-      '.c-scrollbar__hider',
-      '.c-virtual_list__scroll_container',
-      '[data-qa="slack_kit_scrollbar"]',
-      '[class*="scrollbar"][class*="hider"]'
-    ];
-
     let scrollContainer = null;
-    for (const selector of scrollContainerSelectors) {
+    for (const selector of this.getSelectors('threadScrollContainer')) {
       scrollContainer = threadPanel.querySelector(selector);
       if (scrollContainer && this.isScrollable(scrollContainer)) {
         break;
@@ -799,7 +1252,7 @@ class SlackExtractor {
 
     // Fallback: find any scrollable element in thread panel
     if (!scrollContainer) {
-      scrollContainer = this.findScrollableAncestor(threadPanel.querySelector('[data-msg-ts]'));
+      scrollContainer = this.findScrollableAncestor(this.queryFirst(threadPanel, 'threadMessage'));
     }
 
     // Scroll through thread to load all replies
@@ -824,16 +1277,8 @@ class SlackExtractor {
     }
 
     // Extract messages from thread panel - try multiple selectors
-    const messageSelectors = [
-      '[data-qa="message_container"][data-msg-ts]',
-      '[data-msg-ts]',
-      '.c-message_kit__message[data-msg-ts]',
-      '[data-qa="virtual-list-item"] [data-msg-ts]',
-      '[role="listitem"] [data-msg-ts]'
-    ];
-
     let threadMessages = [];
-    for (const selector of messageSelectors) {
+    for (const selector of this.getSelectors('threadMessage')) {
       const messages = threadPanel.querySelectorAll(selector);
       if (messages.length > 0) {
         threadMessages = messages;
@@ -848,41 +1293,45 @@ class SlackExtractor {
     }
 
     let newReplies = 0;
-    threadMessages.forEach(el => {
-      const msgData = this.parseMessageElement(el);
-      if (!msgData || !msgData.ts) return;
+    const seenReplies = new Set();
+    const parsedReplies = this.parseMessageElements(threadMessages);
 
+    parsedReplies.forEach(({ msgData }) => {
       // Set thread_ts for all messages in this thread
       msgData.thread_ts = threadTs;
       msgData.is_thread_reply = msgData.ts !== threadTs;
+      if (msgData.is_thread_reply) seenReplies.add(msgData.ts);
 
-      if (!this.messages.has(msgData.ts)) {
+      if (this.messages.has(msgData.ts)) {
+        // The thread panel has no reply button, so reply counts are not comparable here
+        if (this.settings.detectChanges) {
+          this.recordChanges(this.messages.get(msgData.ts), msgData, false);
+        }
+      } else {
+        this.applyWorkspaceFields(msgData);
         this.messages.set(msgData.ts, msgData);
+        this.dirtyMessages.add(msgData.ts);
         if (msgData.user_id) this.users.add(msgData.user_id);
         this.updateThreadIndex(msgData);
         newReplies++;
       }
     });
 
+    if (this.settings.detectChanges) {
+      const thread = this.threads.get(threadTs);
+      const storedReplies = thread ? Array.from(thread.reply_ts) : [];
+      this.flagMissingMessages(storedReplies, seenReplies);
+    }
+
     this.log(`Extracted ${newReplies} new replies from thread ${threadTs}`, 'success');
     return newReplies;
   }
 
+
   // Close the thread panel
   async closeThread() {
     // Try multiple selectors for close button
-    const closeBtnSelectors = [
-      '[data-qa="close_flexpane"]',
-      '[data-qa="flexpane_close_button"]',
-      'button[aria-label="Close"]',
-      'button[aria-label*="Close thread"]',
-      'button[aria-label*="close"]',
-      '.p-flexpane__close_button',
-      '[class*="flexpane"] button[class*="close"]',
-      '[class*="Thread"] button[class*="close"]'
-    ];
-
-    for (const selector of closeBtnSelectors) {
+    for (const selector of this.getSelectors('closeButton')) {
       const closeBtn = document.querySelector(selector);
       if (closeBtn) {
         closeBtn.click();
@@ -904,8 +1353,8 @@ class SlackExtractor {
     await this.sleep(400);
 
     // Alternative: click on main message area
-    const mainArea = document.querySelector('.c-message_list') ||
-                     document.querySelector('.p-workspace__primary_view');
+    const mainArea = this.queryFirst(document, 'messageList') ||
+                     this.queryFirst(document, 'primaryView');
     if (mainArea) {
       mainArea.click();
       await this.sleep(300);
@@ -917,14 +1366,23 @@ class SlackExtractor {
   // Pause extraction
   pause() {
     this.isPaused = true;
+    // The page may be scrolled while paused, so the scan no longer covers everything
+    if (this.extractionPhase !== 'threads') {
+      this.scanInterrupted = true;
+    }
     this.log('Extraction paused', 'warning');
   }
 
-  // Resume extraction
+  // Resume extraction from the phase it was paused in
   async resume() {
+    if (!this.isRunning || !this.isPaused) return;
+
     this.isPaused = false;
     this.log('Extraction resumed', 'info');
-    await this.autoScroll();
+    // A loop that has not reached its pause check yet just carries on
+    if (!this.isExtracting) {
+      await this.continueExtraction();
+    }
   }
 
   // Stop extraction
@@ -935,11 +1393,18 @@ class SlackExtractor {
     this.log('Extraction stopped', 'warning');
   }
 
-  // Clear all data
-  clearData() {
+  // Clear all data (only when the cleared namespace is the one loaded here)
+  clearData(channelKey = null) {
+    if (channelKey && channelKey !== this.channelKey) return;
+
     this.messages.clear();
     this.threads.clear();
     this.users.clear();
+    this.userIdsByName.clear();
+    this.customEmoji = {};
+    this.userDirectory = {};
+    this.dirtyMessages.clear();
+    this.dirtyThreads.clear();
     this.pendingThreads.clear();
     this.extractedThreads.clear();
     this.threadQueue = [];
@@ -957,8 +1422,9 @@ class SlackExtractor {
   async autoScroll() {
     const scrollContainer = this.getScrollContainer();
     if (!scrollContainer) {
-      this.log('Cannot find scroll container', 'error');
-      return;
+      await this.saveState();
+      this.failExtraction('Cannot find scroll container');
+      return false;
     }
 
     let noProgressCount = 0;
@@ -1043,6 +1509,7 @@ class SlackExtractor {
         // If still at top and no new messages for 3 iterations, we're done
         if (noProgressCount >= 3) {
           this.log('Reached the beginning of the channel', 'success');
+          this.scanComplete = true;
           break;
         }
       }
@@ -1061,18 +1528,19 @@ class SlackExtractor {
 
       if (this.shouldStopForTimeRange(extractionStats.oldestVisibleTs, noNewInRangeCount)) {
         this.log('Reached the start of the selected time range', 'success');
+        this.scanComplete = true;
         break;
       }
-    }
 
-    // Finalize
-    if (this.isRunning) {
-      this.isCompleted = true;
-      this.isRunning = false;
-      await this.saveState();
-      chrome.runtime.sendMessage({ type: 'COMPLETED' });
-      this.log(`Extraction complete! Total messages: ${this.messages.size}`, 'success');
+      if (this.shouldStopForSync(extractionStats.oldestVisibleTs)) {
+        this.log('Reached messages from the previous run, sync complete', 'success');
+        this.scanComplete = true;
+        break;
+      }
     }
+
+    // True when the scan reached its end rather than being stopped or paused
+    return this.isRunning && !this.isPaused;
   }
 
   performScroll(scrollContainer, scrollAmount) {
@@ -1151,6 +1619,32 @@ class SlackExtractor {
     msgData.message_time = parts.time;
   }
 
+  applyWorkspaceFields(msgData) {
+    msgData.team_id = this.teamId || null;
+    msgData.channel_id = msgData.channel_id || this.channelId || null;
+    msgData.permalink = msgData.permalink || this.buildPermalink(msgData);
+  }
+
+  // Slack permalink: https://<domain>.slack.com/archives/<channel>/p<ts without dot>,
+  // with thread_ts and cid added for thread replies
+  buildPermalink(msgData) {
+    if (!this.teamDomain || !msgData.channel_id || !msgData.ts) return null;
+    let permalink = `https://${this.teamDomain}.slack.com/archives/${msgData.channel_id}/p${msgData.ts.replace('.', '')}`;
+    if (msgData.thread_ts && msgData.thread_ts !== msgData.ts) {
+      permalink += `?thread_ts=${msgData.thread_ts}&cid=${msgData.channel_id}`;
+    }
+    return permalink;
+  }
+
+  // The message's own timestamp link; links inside the text or attachments point elsewhere
+  findPermalinkAnchor(el, textEl) {
+    return Array.from(el.querySelectorAll('a[href*="/archives/"]')).find(anchor =>
+      /\/p\d{10,}/.test(anchor.getAttribute('href')) &&
+      !(textEl && textEl.contains(anchor)) &&
+      !anchor.closest('[data-qa="attachment"], .c-message_attachment')
+    ) || null;
+  }
+
   parseSlackTimestamp(ts) {
     if (!ts) return null;
     const parsed = Number.parseFloat(ts);
@@ -1246,6 +1740,7 @@ class SlackExtractor {
     }
 
     this.threads.set(threadKey, thread);
+    this.dirtyThreads.add(threadKey);
   }
 
   rebuildThreadsFromMessages() {
@@ -1255,8 +1750,11 @@ class SlackExtractor {
     });
   }
 
-  serializeThreads() {
-    return Array.from(this.threads.values()).map(thread => ({
+  serializeThreads(threadKeys = null) {
+    const threads = threadKeys
+      ? threadKeys.map(key => this.threads.get(key)).filter(Boolean)
+      : Array.from(this.threads.values());
+    return threads.map(thread => ({
       thread_ts: thread.thread_ts,
       root_ts: thread.root_ts,
       root_message_ts: thread.root_message_ts,
@@ -1282,43 +1780,370 @@ class SlackExtractor {
     });
   }
 
-  // Extract messages from visible DOM
-  extractVisibleMessages() {
-    // Target message containers within the message list specifically
-    const messageList = document.querySelector('.c-message_list');
-    if (!messageList) {
-      this.log('Message list not found', 'warning');
-      return { newMessages: 0, oldestVisibleTs: null, newestVisibleTs: null };
+  // Compare a re-parsed message with its stored copy and keep the old values as a revision
+  recordChanges(storedMsg, parsedMsg, compareReplyCount) {
+    const changed = [];
+
+    // Records saved before text_markdown existed hold the flattened textContent.
+    // Take the newly rendered text over without logging it as an edit.
+    if (storedMsg.text_markdown == null && parsedMsg.text_markdown != null) {
+      ['text', ...TEXT_DERIVED_FIELDS].forEach(field => {
+        storedMsg[field] = parsedMsg[field];
+      });
+      this.dirtyMessages.add(storedMsg.ts);
     }
 
-    // Primary: message containers with timestamp data
-    let messageElements = messageList.querySelectorAll('[data-qa="message_container"][data-msg-ts]');
+    if (parsedMsg.text !== null && parsedMsg.text !== storedMsg.text) {
+      changed.push('text');
+    }
+    const storedReactions = storedMsg.reactions || [];
+    const parsedReactions = parsedMsg.reactions || [];
+    if (this.reactionsChanged(storedReactions, parsedReactions)) {
+      changed.push('reactions');
+    } else if (parsedReactions.some((reaction, index) => reaction.users && !storedReactions[index].users)) {
+      // Same reactions, but now we know who reacted
+      storedMsg.reactions = parsedReactions;
+      this.dirtyMessages.add(storedMsg.ts);
+    }
+    if (compareReplyCount && parsedMsg.reply_count !== (storedMsg.reply_count || 0)) {
+      changed.push('reply_count');
+    }
 
-    // Fallback: try other selectors within message list
-    if (messageElements.length === 0) {
-      const fallbackSelectors = [
-        '.c-message_kit__message[data-msg-ts]',
-        '[role="listitem"] [data-msg-ts]',
-        '[data-qa="message_container"]'
-      ];
+    if (storedMsg.possibly_deleted) {
+      storedMsg.possibly_deleted = false;
+      storedMsg.deleted_detected_at = null;
+      this.dirtyMessages.add(storedMsg.ts);
+    }
 
-      for (const selector of fallbackSelectors) {
-        const elements = messageList.querySelectorAll(selector);
-        if (elements.length > 0) {
-          messageElements = elements;
-          break;
+    if (changed.length === 0) return false;
+
+    const previous = {};
+    // Everything parsed from the text travels with it, so a record never
+    // pairs new text with the old version's mentions or links
+    const fields = changed.includes('text')
+      ? [...changed, ...TEXT_DERIVED_FIELDS]
+      : changed;
+    fields.forEach(field => {
+      previous[field] = storedMsg[field] ?? null;
+      storedMsg[field] = parsedMsg[field];
+    });
+    storedMsg.revisions = storedMsg.revisions || [];
+    storedMsg.revisions.push({
+      detected_at: new Date().toISOString(),
+      changed,
+      previous
+    });
+    this.dirtyMessages.add(storedMsg.ts);
+    this.log(`Message ${storedMsg.ts} changed (${changed.join(', ')})`, 'info');
+    return true;
+  }
+
+  // Who reacted, read from the reaction's tooltip, aria-label or title, e.g.
+  // "Alice, Bob and 3 others reacted with :thumbsup:" in any language with
+  // tooltip words in locales.js. Returns null when none of them names the
+  // reacting users.
+  parseReactionUsers(reaction) {
+    const sources = [
+      reaction.querySelector('[data-qa="reaction_tooltip"], .c-reaction__tooltip')?.textContent,
+      reaction.getAttribute('aria-label'),
+      reaction.getAttribute('title')
+    ];
+    const parsed = sources.map(value => parseReactionNames(value)).find(Boolean);
+    if (!parsed) return null;
+
+    const users = parsed.names.map(name => ({ name, id: this.userIdsByName.get(name) || null }));
+    return { users, truncated: parsed.truncated };
+  }
+
+  // Reactions differ when an emoji or count changed, or when both sides know
+  // the reacting users and the lists differ
+  reactionsChanged(storedReactions, parsedReactions) {
+    if (storedReactions.length !== parsedReactions.length) return true;
+    return parsedReactions.some((reaction, index) => {
+      const stored = storedReactions[index];
+      if (stored.emoji !== reaction.emoji || stored.count !== reaction.count) return true;
+      if (!stored.users || !reaction.users) return false;
+      return JSON.stringify(stored.users) !== JSON.stringify(reaction.users);
+    });
+  }
+
+  // Flag stored messages inside the range we scrolled through that were not seen.
+  // Only the span between the oldest and newest seen ts is judged, since anything
+  // outside it was never on screen during this run, and only inside the run's
+  // time range.
+  flagMissingMessages(storedTsList, seenTs) {
+    let oldestSeen = null;
+    let newestSeen = null;
+    seenTs.forEach(ts => {
+      const tsNumber = this.parseSlackTimestamp(ts);
+      if (tsNumber === null) return;
+      if (oldestSeen === null || tsNumber < oldestSeen) oldestSeen = tsNumber;
+      if (newestSeen === null || tsNumber > newestSeen) newestSeen = tsNumber;
+    });
+    if (oldestSeen === null) return 0;
+
+    const detectedAt = new Date().toISOString();
+    let flagged = 0;
+
+    storedTsList.forEach(ts => {
+      if (seenTs.has(ts)) return;
+      const tsNumber = this.parseSlackTimestamp(ts);
+      if (tsNumber === null || tsNumber < oldestSeen || tsNumber > newestSeen) return;
+      if (!this.isWithinRange(tsNumber)) return;
+
+      const msg = this.messages.get(ts);
+      if (!msg || msg.possibly_deleted) return;
+      msg.possibly_deleted = true;
+      msg.deleted_detected_at = detectedAt;
+      this.dirtyMessages.add(ts);
+      flagged++;
+    });
+
+    if (flagged > 0) {
+      this.log(`${flagged} stored messages were not found again and may have been deleted`, 'warning');
+    }
+    return flagged;
+  }
+
+  // True when a text node outside the message body matches the pattern. Labels such
+  // as "Also sent to the channel" are rendered next to the text, so checking outside
+  // it avoids matching a message that merely quotes them.
+  hasLabelOutsideText(el, textEl, pattern) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (textEl && textEl.contains(node)) continue;
+      if (pattern.test(node.textContent)) return true;
+    }
+    return false;
+  }
+
+  // Set subtype (and app_name for bots/apps) following Slack's API naming;
+  // regular user messages keep a null subtype
+  classifyMessage(el, textEl, msgData) {
+    if (el.querySelector('[data-qa="message_broadcast_preamble"], .c-message__broadcast_preamble') ||
+      this.hasLabelOutsideText(el, textEl, /also sent to the channel|replied to a thread/i)) {
+      msgData.subtype = 'thread_broadcast';
+      return;
+    }
+
+    const badge = el.querySelector('[data-qa="app_badge"], [data-qa="bot_badge"], [data-qa="workflow_badge"], .c-app_badge');
+    const senderHref = el.querySelector('[data-qa="message_sender_name"], .c-message__sender_link')?.getAttribute('href') || '';
+    const isWorkflow = el.querySelector('[data-qa="workflow_badge"], .c-workflow_badge') ||
+      (badge && /workflow/i.test(badge.textContent));
+    if (isWorkflow) {
+      msgData.subtype = 'workflow';
+      msgData.app_name = msgData.user_name;
+      return;
+    }
+    if (badge || /\/services\/B[A-Z0-9]+|\/apps?\/A[A-Z0-9]+/.test(senderHref) || /^B[A-Z0-9]+$/.test(msgData.user_id || '')) {
+      msgData.subtype = 'bot_message';
+      msgData.app_name = msgData.user_name;
+      return;
+    }
+
+    // System notices are plain text, not a rich-text block like user messages
+    if (msgData.text && !el.querySelector('.p-rich_text_block')) {
+      const system = SYSTEM_MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(msgData.text));
+      if (system) msgData.subtype = system.subtype;
+    }
+  }
+
+  // Add what a message row shows about its sender to the user directory. Rows of
+  // grouped messages have no sender, so only rows that name one are recorded.
+  recordMessageSender(el, msgData) {
+    if (!msgData.user_id) return;
+
+    const avatarEl = el.querySelector(this.getSelectors('avatar').join(', '));
+    const avatarImg = avatarEl && (avatarEl.tagName === 'IMG' ? avatarEl : avatarEl.querySelector('img'));
+    this.recordUser({
+      id: msgData.user_id,
+      display_name: msgData.user_name,
+      avatar_url: avatarImg ? avatarImg.src : null,
+      is_bot: msgData.subtype === 'bot_message' || msgData.subtype === 'workflow',
+      is_guest: Boolean(el.querySelector(this.getSelectors('guestBadge').join(', ')))
+    }, this.parseSlackTimestamp(msgData.ts));
+  }
+
+  // Profile cards (opened by hovering or clicking a name) show the real name and
+  // title. They describe the user as of now, so they win over message rows.
+  readProfilePopover() {
+    const popover = this.queryFirst(document, 'userPopover');
+    if (!popover) return;
+
+    const idSelector = '[data-member-id], [data-user-id], a[href*="/team/"]';
+    const idEl = popover.matches(idSelector) ? popover : popover.querySelector(idSelector);
+    const userId = idEl && (
+      idEl.getAttribute('data-member-id') ||
+      idEl.getAttribute('data-user-id') ||
+      (idEl.getAttribute('href') || '').match(/\/team\/([A-Z0-9]+)/)?.[1]
+    );
+    if (!userId) return;
+
+    const textOf = key => this.queryFirst(popover, key)?.textContent.trim() || null;
+    const avatarImg = this.queryFirst(popover, 'popoverAvatar');
+    this.recordUser({
+      id: userId,
+      display_name: textOf('popoverDisplayName'),
+      real_name: textOf('popoverRealName'),
+      title: textOf('popoverTitle'),
+      avatar_url: avatarImg ? avatarImg.src : null,
+      is_bot: Boolean(popover.querySelector('[data-qa="app_badge"], [data-qa="bot_badge"], .c-app_badge')),
+      is_guest: Boolean(this.queryFirst(popover, 'guestBadge'))
+    }, Date.now() / 1000);
+  }
+
+  // Merge one observation into the user's directory entry. Entries are keyed by
+  // ID, so a renamed user stays one entry: the newest observation (by message
+  // time) sets the current profile, older ones only fill unknown fields, and
+  // every display name seen is kept in known_names.
+  recordUser(seen, seenTs) {
+    const stored = this.userDirectory[seen.id];
+    const entry = stored ? { ...stored, known_names: [...(stored.known_names || [])] } : {
+      id: seen.id,
+      display_name: null,
+      real_name: null,
+      avatar_url: null,
+      title: null,
+      is_bot: null,
+      is_guest: null,
+      known_names: [],
+      seen_ts: null,
+      updated_at: null
+    };
+    const newer = entry.seen_ts === null || (seenTs || 0) >= entry.seen_ts;
+
+    USER_PROFILE_FIELDS.forEach(field => {
+      const value = seen[field];
+      if (value === null || value === undefined || value === '') return;
+      if (newer || entry[field] === null) entry[field] = value;
+    });
+    if (seen.display_name && !entry.known_names.includes(seen.display_name)) {
+      entry.known_names.push(seen.display_name);
+    }
+    if (newer) entry.seen_ts = seenTs;
+    entry.updated_at = new Date().toISOString();
+
+    this.userDirectory[seen.id] = entry;
+    if (seen.display_name) this.userIdsByName.set(seen.display_name, seen.id);
+  }
+
+  // Files are parsed before a grouped message's sender is known, so uploaders
+  // missing then come from the sender found since
+  fillFileUploaders(msgData) {
+    msgData.attachments.forEach(attachment => {
+      if (attachment.type !== 'file') return;
+      if (!attachment.uploader_id) attachment.uploader_id = msgData.user_id || null;
+      if (!attachment.uploader_name && attachment.uploader_id && attachment.uploader_id === msgData.user_id) {
+        attachment.uploader_name = msgData.user_name || null;
+      }
+    });
+  }
+
+  // Slack hides the sender on consecutive messages from the same person, so a
+  // message without one takes it from the previous message in DOM order. A stored
+  // copy with a known sender wins over inference.
+  fillGroupedSenders(parsedMessages) {
+    let previous = null;
+    parsedMessages.forEach(msgData => {
+      const stored = this.messages.get(msgData.ts);
+
+      if (!msgData.user_id && !msgData.user_name) {
+        if (stored && (stored.user_id || stored.user_name)) {
+          msgData.user_id = stored.user_id;
+          msgData.user_name = stored.user_name;
+          msgData.author_inferred = Boolean(stored.author_inferred);
+        } else if (previous) {
+          msgData.user_id = previous.user_id;
+          msgData.user_name = previous.user_name;
+          msgData.author_inferred = true;
+          // The app badge is hidden along with the name
+          if (!msgData.subtype && previous.app_name) {
+            msgData.subtype = previous.subtype;
+            msgData.app_name = previous.app_name;
+          }
         }
+      } else if (!msgData.user_name && previous && previous.user_id === msgData.user_id) {
+        msgData.user_name = previous.user_name;
       }
+
+      // Back-fill stored records that were saved before their sender was known
+      if (stored && !stored.user_id && !stored.user_name && (msgData.user_id || msgData.user_name)) {
+        stored.user_id = msgData.user_id;
+        stored.user_name = msgData.user_name;
+        stored.author_inferred = msgData.author_inferred;
+        this.dirtyMessages.add(stored.ts);
+      }
+
+      if (msgData.user_id || msgData.user_name) {
+        previous = {
+          user_id: msgData.user_id,
+          user_name: msgData.user_name,
+          subtype: msgData.subtype,
+          app_name: msgData.app_name
+        };
+      }
+    });
+  }
+
+  // Parse message elements and fill in grouped senders. Returns { el, msgData }
+  // pairs for the messages that have a timestamp.
+  parseMessageElements(elements) {
+    const parsedMessages = [];
+    Array.from(elements).forEach(el => {
+      const msgData = this.parseMessageElement(el);
+      if (msgData && msgData.ts) {
+        // A sender shown only by name resolves to the ID last seen with that name
+        if (!msgData.user_id && msgData.user_name) {
+          msgData.user_id = this.userIdsByName.get(msgData.user_name) || null;
+        }
+        parsedMessages.push({ el, msgData });
+      } else if (msgData) {
+        this.captureDiagnostic(el, 'No timestamp found');
+      }
+    });
+    this.fillGroupedSenders(parsedMessages.map(({ msgData }) => msgData));
+    parsedMessages.forEach(({ msgData }) => this.fillFileUploaders(msgData));
+
+    // Sender and text are only known to be missing once grouping has run
+    parsedMessages.forEach(({ el, msgData }) => {
+      const problems = [];
+      if (!msgData.user_id && !msgData.user_name) problems.push('No sender found');
+      if (!msgData.text && msgData.attachments.length === 0) problems.push('No message text found');
+      if (problems.length > 0) this.captureDiagnostic(el, problems.join('; '), msgData.ts);
+    });
+
+    this.flushDiagnostics();
+    this.readProfilePopover();
+    return parsedMessages;
+  }
+
+  // Extract messages from visible DOM
+  extractVisibleMessages() {
+    // Target message containers within the message list specifically
+    const messageList = this.queryFirst(document, 'messageList');
+    if (!messageList) {
+      this.log('Message list not found', 'warning');
+      return { newMessages: 0, oldestVisibleTs: null, newestVisibleTs: null };
     }
 
+    // Message containers with timestamp data first, then the profile's fallbacks
+    const messageElements = this.getMessageElements(messageList);
+
     let newMessages = 0;
     let oldestVisibleTs = null;
     let newestVisibleTs = null;
 
+    // Every message on screen counts as seen, even one that fails to parse or
+    // falls outside the time range, so it is never taken for a deleted one
     messageElements.forEach(el => {
-      const msgData = this.parseMessageElement(el);
-      if (!msgData || !msgData.ts) return;
+      const ts = this.readMessageTs(el);
+      if (ts) this.seenInRun.add(ts);
+    });
 
+    const parsedMessages = this.parseMessageElements(messageElements);
+
+    parsedMessages.forEach(({ el, msgData }) => {
       const tsNumber = this.parseSlackTimestamp(msgData.ts);
       if (tsNumber !== null) {
         if (oldestVisibleTs === null || tsNumber < oldestVisibleTs) {
@@ -1330,9 +2155,22 @@ class SlackExtractor {
       }
 
       if (!this.isWithinRange(tsNumber)) return;
-      if (this.messages.has(msgData.ts)) return;
+      if (this.messages.has(msgData.ts)) {
+        const storedMsg = this.messages.get(msgData.ts);
+        // Judged before recordChanges takes over the new reply count
+        const threadStale = this.settings.includeThreads && this.isThreadStale(storedMsg, msgData);
+        if (this.settings.detectChanges) {
+          this.recordChanges(storedMsg, msgData, true);
+        }
+        if (threadStale) {
+          this.refreshStaleThread(storedMsg, msgData, el);
+        }
+        return;
+      }
 
+      this.applyWorkspaceFields(msgData);
       this.messages.set(msgData.ts, msgData);
+      this.dirtyMessages.add(msgData.ts);
       if (msgData.user_id) this.users.add(msgData.user_id);
       this.updateThreadIndex(msgData);
       newMessages++;
@@ -1361,6 +2199,40 @@ class SlackExtractor {
     };
   }
 
+  // Timestamp (unique ID) of a message element: data-msg-ts and similar attributes
+  // first, then nested elements, then the permalink
+  readMessageTs(el) {
+    const tsAttr = this.normalizeSlackTs(
+      el.getAttribute('data-msg-ts') ||
+      el.getAttribute('data-ts') ||
+      el.getAttribute('data-message-ts') ||
+      el.getAttribute('data-item-key')
+    );
+    if (tsAttr) return tsAttr;
+
+    // Try to find ts in nested elements
+    const tsEl = el.querySelector('[data-msg-ts], [data-ts], [data-message-ts], time');
+    if (tsEl) {
+      const nestedTs = this.normalizeSlackTs(
+        tsEl.getAttribute('data-msg-ts') ||
+        tsEl.getAttribute('data-ts') ||
+        tsEl.getAttribute('data-message-ts') ||
+        tsEl.getAttribute('datetime')
+      );
+      if (nestedTs) return nestedTs;
+    }
+
+    // Fallback: extract from permalink href (format: /p1766418893286489)
+    const permalink = el.querySelector('a[href*="/archives/"][href*="/p"]');
+    const match = permalink?.getAttribute('href').match(/\/p(\d+)/);
+    if (match) {
+      // Convert from Slack's compact format: 1766418893286489 → 1766418893.286489
+      const raw = match[1];
+      return raw.length > 10 ? raw.slice(0, 10) + '.' + raw.slice(10) : raw;
+    }
+    return null;
+  }
+
   // Parse a single message element
   parseMessageElement(el) {
     try {
@@ -1368,7 +2240,19 @@ class SlackExtractor {
         ts: null,
         user_id: null,
         user_name: null,
+        author_inferred: false, // Sender taken from the previous message in a group
+        subtype: null, // bot_message, workflow, channel_join, ... (null for user messages)
+        app_name: null,
+        is_edited: false,
+        edited_at: null,
+        permalink: null,
         text: null,
+        text_markdown: null,
+        mentions: [],
+        links: [],
+        unfurls: [],
+        emojis: [],
+        code_blocks: [],
         thread_ts: null,
         reply_count: 0,
         reactions: [],
@@ -1378,48 +2262,7 @@ class SlackExtractor {
         extracted_at: new Date().toISOString()
       };
 
-      // Get timestamp (unique ID) - primary: data-msg-ts attribute
-      const tsAttr = this.normalizeSlackTs(
-        el.getAttribute('data-msg-ts') ||
-        el.getAttribute('data-ts') ||
-        el.getAttribute('data-message-ts') ||
-        el.getAttribute('data-item-key')
-      );
-      if (tsAttr) {
-        msgData.ts = tsAttr;
-      } else {
-        // Try to find ts in nested elements or from permalink
-        const tsEl = el.querySelector('[data-msg-ts], [data-ts], [data-message-ts], time');
-        if (tsEl) {
-          const nestedTs = this.normalizeSlackTs(
-            tsEl.getAttribute('data-msg-ts') ||
-            tsEl.getAttribute('data-ts') ||
-            tsEl.getAttribute('data-message-ts') ||
-            tsEl.getAttribute('datetime')
-          );
-          if (nestedTs) {
-            msgData.ts = nestedTs;
-          }
-        }
-
-        // Fallback: extract from permalink href (format: /p1766418893286489)
-        if (!msgData.ts) {
-          const permalink = el.querySelector('a[href*="/archives/"][href*="/p"]');
-          if (permalink) {
-            const href = permalink.getAttribute('href');
-            const match = href.match(/\/p(\d+)/);
-            if (match) {
-              // Convert from Slack's compact format: 1766418893286489 → 1766418893.286489
-              const raw = match[1];
-              if (raw.length > 10) {
-                msgData.ts = raw.slice(0, 10) + '.' + raw.slice(10);
-              } else {
-                msgData.ts = raw;
-              }
-            }
-          }
-        }
-      }
+      msgData.ts = this.readMessageTs(el);
 
       // Get thread ts
       const threadTsAttr = this.normalizeSlackTs(
@@ -1439,7 +2282,7 @@ class SlackExtractor {
       }
 
       // Get user info
-      const userLink = el.querySelector('[data-qa="message_sender_name"], .c-message__sender_link');
+      const userLink = el.querySelector(this.getSelectors('senderName').join(', '));
       if (userLink) {
         msgData.user_name = userLink.textContent.trim();
         const href = userLink.getAttribute('href');
@@ -1453,7 +2296,7 @@ class SlackExtractor {
 
       // Alternative user detection via button with data-message-sender
       if (!msgData.user_id) {
-        const senderBtn = el.querySelector('button[data-message-sender]');
+        const senderBtn = el.querySelector(this.getSelectors('senderButton').join(', '));
         if (senderBtn) {
           msgData.user_id = senderBtn.getAttribute('data-message-sender');
         }
@@ -1461,7 +2304,7 @@ class SlackExtractor {
 
       // Alternative user detection via avatar
       if (!msgData.user_name) {
-        const avatarEl = el.querySelector('[data-qa="message_avatar"]');
+        const avatarEl = el.querySelector(this.getSelectors('avatar').join(', '));
         if (avatarEl) {
           const ariaLabel = avatarEl.getAttribute('aria-label');
           if (ariaLabel) {
@@ -1470,89 +2313,731 @@ class SlackExtractor {
         }
       }
 
+      if (msgData.user_id && msgData.user_name) {
+        this.userIdsByName.set(msgData.user_name, msgData.user_id);
+      }
+
       // Get message text
-      const textEl = el.querySelector('[data-qa="message-text"], .c-message__body, .p-rich_text_section');
+      const textEl = el.querySelector(this.getSelectors('messageText').join(', '));
       if (textEl) {
-        msgData.text = textEl.textContent.trim();
+        const rendered = this.renderRichText(textEl);
+        msgData.text = rendered.text;
+        msgData.text_markdown = rendered.markdown;
+        msgData.mentions = this.extractMentions(textEl);
+        msgData.links = this.extractLinks(textEl);
+        msgData.emojis = this.extractEmojis(textEl);
       }
+      this.parseEditedMarker(el, msgData);
 
-      // Get reply count - try multiple selectors and patterns
-      const replySelectors = [
-        '[data-qa="replies_button_count"]',
-        '[data-qa="replies_button"]',
-        '.c-message__reply_count',
-        '[class*="ThreadRepliesLink"]',
-        '[class*="reply_count"]',
-        'a[class*="reply"]',
-        'button[class*="reply"]'
-      ];
+      // Keep the timestamp link when it points at the workspace domain; relative
+      // links resolve against app.slack.com, so those are rebuilt from the domain
+      const permalinkEl = this.findPermalinkAnchor(el, textEl);
+      if (permalinkEl && /^https:\/\/(?!app\.)[^/]+\.slack\.com\//.test(permalinkEl.href)) {
+        msgData.permalink = permalinkEl.href;
+      }
+      msgData.code_blocks = this.extractCodeBlocks(el, textEl);
 
-      for (const selector of replySelectors) {
+      // Get reply count - try multiple selectors, then the element's aria-label.
+      // Handles "5 replies", "1,234 replies", "5件の返信", "回复 5 条", just "5", etc.
+      for (const selector of this.getSelectors('replyCount')) {
         const replyEl = el.querySelector(selector);
         if (replyEl) {
-          const replyText = replyEl.textContent.trim();
-          // Try multiple patterns: "5 replies", "5 回复", just "5", etc.
-          const replyMatch = replyText.match(/(\d+)/);
-          if (replyMatch) {
-            msgData.reply_count = parseInt(replyMatch[1]);
+          const replyCount = parseReplyCount(replyEl.textContent.trim()) ||
+            parseReplyCount(replyEl.getAttribute('aria-label'));
+          if (replyCount) {
+            msgData.reply_count = replyCount;
             break;
           }
         }
       }
 
-      // Also check for aria-label on reply buttons
-      if (msgData.reply_count === 0) {
-        const replyBtnWithAria = el.querySelector('[aria-label*="repl"]');
-        if (replyBtnWithAria) {
-          const ariaLabel = replyBtnWithAria.getAttribute('aria-label');
-          const ariaMatch = ariaLabel.match(/(\d+)/);
-          if (ariaMatch) {
-            msgData.reply_count = parseInt(ariaMatch[1]);
-          }
-        }
-      }
-
       if (msgData.reply_count > 0 && !msgData.thread_ts && msgData.ts) {
         msgData.thread_ts = msgData.ts;
       }
 
       // Get reactions
-      const reactionEls = el.querySelectorAll('[data-qa="reaction"], .c-reaction');
+      const reactionEls = el.querySelectorAll(this.getSelectors('reaction').join(', '));
       reactionEls.forEach(reaction => {
-        const emoji = reaction.querySelector('img, .c-emoji')?.getAttribute('alt') ||
-          reaction.querySelector('.c-emoji')?.textContent;
-        const countEl = reaction.querySelector('[data-qa="reaction_count"], .c-reaction__count');
+        const emojiEl = reaction.querySelector(`${EMOJI_SELECTOR}, img`);
+        const parsedEmoji = emojiEl ? this.parseEmojiElement(emojiEl) : null;
+        const emoji = parsedEmoji && (parsedEmoji.shortcode || parsedEmoji.unicode);
+        const countEl = reaction.querySelector(this.getSelectors('reactionCount').join(', '));
         const count = countEl ? parseInt(countEl.textContent) || 1 : 1;
         if (emoji) {
-          msgData.reactions.push({ emoji, count });
+          const reactors = this.parseReactionUsers(reaction);
+          msgData.reactions.push({
+            emoji,
+            unicode: parsedEmoji.unicode,
+            custom: parsedEmoji.custom,
+            count,
+            users: reactors ? reactors.users : null,
+            // Incomplete when Slack summarised the list or named fewer users than the count
+            users_truncated: reactors ? reactors.truncated || reactors.users.length < count : null
+          });
         }
       });
 
       // Get attachments info
-      const attachmentEls = el.querySelectorAll('[data-qa="attachment"], .c-message_attachment');
+      const attachmentEls = el.querySelectorAll(this.getSelectors('attachment').join(', '));
       attachmentEls.forEach(attachment => {
-        const titleEl = attachment.querySelector('[data-qa="attachment_title"], .c-message_attachment__title');
+        const titleEl = attachment.querySelector(this.getSelectors('attachmentTitle').join(', '));
         const title = titleEl ? titleEl.textContent.trim() : 'Attachment';
         msgData.attachments.push({ title });
+
+        const unfurl = this.parseUnfurl(attachment);
+        if (unfurl) msgData.unfurls.push(unfurl);
       });
 
       // Get file attachments
-      const fileEls = el.querySelectorAll('[data-qa="message_file"], .c-file__container');
-      fileEls.forEach(file => {
-        const nameEl = file.querySelector('[data-qa="file_name"], .c-file__title');
-        const name = nameEl ? nameEl.textContent.trim() : 'File';
-        msgData.attachments.push({ type: 'file', name });
+      const fileSelector = this.getSelectors('file').join(', ');
+      const seenFiles = new Set();
+      el.querySelectorAll(fileSelector).forEach(file => {
+        // Skip wrappers nested inside a file container we already handle
+        if (file.parentElement?.closest(fileSelector)) return;
+        const fileData = this.parseFileAttachment(file, msgData);
+        const fileKey = fileData.id || fileData.permalink;
+        if (fileKey && seenFiles.has(fileKey)) return;
+        if (fileKey) seenFiles.add(fileKey);
+        msgData.attachments.push(fileData);
       });
 
+      this.classifyMessage(el, textEl, msgData);
       this.applyMessageTimeFields(msgData);
+      this.recordMessageSender(el, msgData);
 
       return msgData;
     } catch (error) {
       console.error('Error parsing message:', error);
+      this.captureDiagnostic(el, `Parse error: ${error.message}`);
       return null;
     }
   }
 
+  // Queue a sanitized snapshot of an element that failed to parse (diagnostics mode only)
+  captureDiagnostic(el, reason, ts = null) {
+    if (!this.settings.diagnosticsMode) return;
+
+    const snapshot = this.sanitizeSnapshot(el);
+    const key = `${ts || snapshot.html}|${reason}`;
+    if (this.diagnosedElements.has(key)) return;
+    this.diagnosedElements.add(key);
+
+    const threadPanel = this.queryFirst(document, 'threadPanel');
+    this.pendingDiagnostics.push({
+      captured_at: new Date().toISOString(),
+      channel_key: this.channelKey || null,
+      context: threadPanel && threadPanel.contains(el) ? 'thread' : 'channel',
+      ts,
+      reason,
+      selector_profile: this.selectorProfile.name,
+      page_locale: getPageLocale(),
+      html: snapshot.html,
+      truncated: snapshot.truncated
+    });
+  }
+
+  // Send queued snapshots to the background store
+  flushDiagnostics() {
+    if (this.pendingDiagnostics.length === 0) return;
+
+    const snapshots = this.pendingDiagnostics;
+    this.pendingDiagnostics = [];
+    this.log(`Captured ${snapshots.length} diagnostic snapshot(s): ${snapshots[0].reason}`, 'warning');
+    chrome.runtime.sendMessage({ type: 'SAVE_DIAGNOSTICS', snapshots });
+  }
+
+  // Outer HTML of an element with its text masked: letters become x/X and digits 0,
+  // so tags, classes and layout survive but no message content or names do.
+  sanitizeSnapshot(el) {
+    const clone = el.cloneNode(true);
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.nodeType === Node.COMMENT_NODE) {
+        comments.push(walker.currentNode);
+      } else {
+        walker.currentNode.nodeValue = this.maskSnapshotText(walker.currentNode.nodeValue);
+      }
+    }
+    comments.forEach(comment => comment.remove());
+
+    [clone, ...clone.querySelectorAll('*')].forEach(node => {
+      Array.from(node.attributes).forEach(attr => {
+        if (SNAPSHOT_KEPT_ATTRIBUTES.has(attr.name)) return;
+        const value = ['href', 'src', 'srcset'].includes(attr.name)
+          ? this.maskSnapshotUrl(attr.value)
+          : this.maskSnapshotText(attr.value);
+        node.setAttribute(attr.name, value);
+      });
+    });
+
+    const html = clone.outerHTML;
+    return html.length > MAX_SNAPSHOT_LENGTH
+      ? { html: html.slice(0, MAX_SNAPSHOT_LENGTH), truncated: true }
+      : { html, truncated: false };
+  }
+
+  // Slack IDs (U0123ABCD, C..., W..., S..., F...) keep their type letter so
+  // mention and file parsing can still tell them apart
+  maskSnapshotText(value) {
+    return value.replace(/[\p{L}\p{N}]+/gu, word => {
+      const masked = word.replace(/./gu, char => (/\p{N}/u.test(char) ? '0' : /\p{Lu}/u.test(char) ? 'X' : 'x'));
+      return /^[A-Z][A-Z0-9]{6,}$/.test(word) && /\d/.test(word) ? word[0] + masked.slice(1) : masked;
+    });
+  }
+
+  maskSnapshotUrl(value) {
+    return value.split(/([/?&=#.:,\s])/).map(part =>
+      SNAPSHOT_URL_WORDS.has(part.toLowerCase()) ? part : this.maskSnapshotText(part)
+    ).join('');
+  }
+
+  // Mention elements carry the referenced ID in a data attribute or in their href.
+  // Returns { type, id, label } for a mention element, otherwise null.
+  getMentionInfo(node) {
+    const label = node.textContent.trim();
+
+    const memberId = node.getAttribute('data-member-id') || node.getAttribute('data-user-id');
+    if (memberId) return { type: 'user', id: memberId, label };
+
+    const channelId = node.getAttribute('data-channel-id');
+    if (channelId) return { type: 'channel', id: channelId, label };
+
+    const groupId = node.getAttribute('data-user-group-id') || node.getAttribute('data-subteam-id');
+    if (groupId) return { type: 'user_group', id: groupId, label };
+
+    const isMention = node.getAttribute('data-stringify-type') === 'mention' ||
+      node.classList.contains('c-mrkdwn__broadcast');
+    if (!isMention) return null;
+
+    const special = label.match(/^@(here|channel|everyone)$/i);
+    if (special) return { type: 'special', id: special[1].toLowerCase(), label };
+
+    const hrefMatch = (node.getAttribute('href') || '').match(/\/(?:team|archives|usergroups?)\/([A-Z0-9]+)/);
+    const id = node.getAttribute('data-stringify-id') || hrefMatch?.[1];
+    const type = id ? this.classifyMentionId(id) : null;
+    return type ? { type, id, label } : null;
+  }
+
+  // Slack ID prefixes: U/W users, C/G/D conversations, S user groups
+  classifyMentionId(id) {
+    if (/^[UW]/.test(id)) return 'user';
+    if (/^[CGD]/.test(id)) return 'channel';
+    if (/^S/.test(id)) return 'user_group';
+    return null;
+  }
+
+  // Collect each distinct mention inside a message body
+  extractMentions(root) {
+    const mentions = [];
+    const seen = new Set();
+    root.querySelectorAll(MENTION_SELECTOR).forEach(node => {
+      const mention = this.getMentionInfo(node);
+      if (!mention) return;
+      const key = `${mention.type}:${mention.id}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      mentions.push(mention);
+    });
+    return mentions;
+  }
+
+  // Full target of a link. Slack keeps the original URL in data-stringify-link;
+  // the href property resolves relative links against the page.
+  getAnchorUrl(anchor) {
+    const url = anchor.getAttribute('data-stringify-link') || anchor.href || '';
+    return /^(https?|mailto):/i.test(url) ? url : null;
+  }
+
+  // Hyperlinks in the message body, one entry per distinct URL
+  extractLinks(root) {
+    const links = [];
+    const seen = new Set();
+    root.querySelectorAll('a[href]').forEach(anchor => {
+      if (anchor.matches(MENTION_SELECTOR) && this.getMentionInfo(anchor)) return;
+      const href = this.getAnchorUrl(anchor);
+      if (!href || seen.has(href)) return;
+      seen.add(href);
+      links.push({ href, label: anchor.textContent.trim() || null });
+    });
+    return links;
+  }
+
+  // Link previews shown under a message
+  parseUnfurl(attachment) {
+    const textOf = selector => attachment.querySelector(selector)?.textContent.trim() || null;
+    const titleLink = attachment.querySelector(
+      '[data-qa="attachment_title"] a[href], .c-message_attachment__title a[href], a.c-message_attachment__title_link'
+    );
+    const fallbackLink = Array.from(attachment.querySelectorAll('a[href]'))
+      .find(anchor => this.getAnchorUrl(anchor));
+    const url = (titleLink && this.getAnchorUrl(titleLink)) ||
+      attachment.getAttribute('data-attachment-url') ||
+      (fallbackLink && this.getAnchorUrl(fallbackLink));
+    if (!url) return null;
+
+    return {
+      service: textOf('[data-qa="attachment_service_name"], .c-message_attachment__service_name, .c-message_attachment__author_name'),
+      title: textOf('[data-qa="attachment_title"], .c-message_attachment__title'),
+      description: textOf('[data-qa="attachment_text"], .c-message_attachment__text'),
+      url
+    };
+  }
+
+  // Slack appends "(edited)" to changed messages, with the edit time in the
+  // label's tooltip attributes
+  parseEditedMarker(el, msgData) {
+    const label = el.querySelector(EDITED_LABEL_SELECTOR);
+    const markerInText = msgData.text && EDITED_MARKER_PATTERN.test(msgData.text);
+    if (!label && !markerInText) return;
+
+    msgData.is_edited = true;
+    if (markerInText) {
+      msgData.text = msgData.text.replace(EDITED_MARKER_PATTERN, '');
+      msgData.text_markdown = msgData.text_markdown?.replace(EDITED_MARKER_PATTERN, '') ?? null;
+    }
+    if (!label) return;
+
+    const sources = [
+      label.getAttribute('data-ts'),
+      label.querySelector('[data-ts]')?.getAttribute('data-ts'),
+      label.querySelector('time')?.getAttribute('datetime'),
+      label.getAttribute('data-tooltip'),
+      label.getAttribute('title'),
+      label.getAttribute('aria-label')
+    ];
+    for (const source of sources) {
+      const editedAt = this.parseEditedTime(source, msgData.ts);
+      if (editedAt) {
+        msgData.edited_at = editedAt;
+        break;
+      }
+    }
+  }
+
+  // Edit times come as a Slack ts or as tooltip text such as
+  // "Edited January 5th at 3:42:11 PM", "Today at 9:05 AM" or "Jan 5th, 2023 at 3:42 PM"
+  parseEditedTime(value, msgTs) {
+    if (!value) return null;
+    const raw = String(value).trim();
+    if (/^\d{10}(\.\d+)?$/.test(raw)) {
+      return new Date(parseFloat(raw) * 1000).toISOString();
+    }
+
+    let cleaned = raw
+      .replace(/^edited\s*/i, '')
+      .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+      .replace(/\s+at\s+/i, ' ')
+      .trim();
+    if (!/\d{1,2}:\d{2}/.test(cleaned)) return null;
+
+    const relative = cleaned.match(/^(today|yesterday)\s+(.+)$/i);
+    if (relative) {
+      const day = new Date();
+      if (relative[1].toLowerCase() === 'yesterday') day.setDate(day.getDate() - 1);
+      cleaned = `${day.toDateString()} ${relative[2]}`;
+    }
+
+    // Tooltips leave out the year for recent edits; edits follow the message,
+    // so take the message's year and roll over if that lands before it
+    const msgTime = this.parseSlackTimestamp(msgTs);
+    const addYear = year => cleaned.replace(/^([A-Za-z]+\.?\s+\d{1,2}),?/, `$1 ${year}`);
+    let parsed;
+    if (!/\b\d{4}\b/.test(cleaned) && msgTime !== null) {
+      const msgYear = new Date(msgTime * 1000).getFullYear();
+      parsed = Date.parse(addYear(msgYear));
+      if (!Number.isNaN(parsed) && parsed < msgTime * 1000) {
+        parsed = Date.parse(addYear(msgYear + 1));
+      }
+    } else {
+      parsed = Date.parse(cleaned);
+    }
+    return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+  }
+
+  // Metadata for a shared file. Slack file links look like
+  // https://<domain>/files/<uploader id>/<file id>/<name>, which gives the
+  // permalink, file ID and uploader in one place.
+  parseFileAttachment(file, msgData) {
+    const nameEl = file.querySelector('[data-qa="file_name"], .c-file__title, .p-file_image_thumbnail__title');
+    const fileLink = file.querySelector('a[href*="/files/"]');
+    const permalink = fileLink ? this.getAnchorUrl(fileLink) : null;
+    const linkMatch = permalink ? permalink.match(/\/files\/([A-Z0-9]+)\/(F[A-Z0-9]+)/) : null;
+
+    const name = nameEl?.textContent.trim() ||
+      file.querySelector('img[alt]')?.getAttribute('alt') ||
+      null;
+    const id = file.getAttribute('data-file-id') ||
+      file.querySelector('[data-file-id]')?.getAttribute('data-file-id') ||
+      linkMatch?.[2] ||
+      null;
+
+    // The meta line reads like "PDF · 2 MB" or "Python snippet · 12 lines"
+    const metaEl = file.querySelector('[data-qa="file_meta"], .c-file__meta, .c-file__subtitle');
+    const metaParts = metaEl
+      ? metaEl.textContent.split(/[·•]/).map(part => part.trim()).filter(Boolean)
+      : [];
+    const sizeLabel = metaParts.find(part => /^\d[\d.,]*\s*(B|KB|MB|GB|TB|bytes?)$/i.test(part)) || null;
+
+    const extensionMatch = name ? name.match(/\.([a-z0-9]{1,10})$/i) : null;
+    const filetype = (file.getAttribute('data-file-type') ||
+      extensionMatch?.[1] ||
+      (metaParts[0] && /^[a-z0-9]{1,10}$/i.test(metaParts[0]) ? metaParts[0] : '') ||
+      '').toLowerCase() || null;
+
+    const thumbnail = file.querySelector('img[src]');
+    const uploaderId = linkMatch?.[1] || msgData.user_id || null;
+
+    return {
+      type: 'file',
+      kind: this.getFileKind(file, filetype),
+      id,
+      name: name || 'File',
+      filetype,
+      size: sizeLabel,
+      thumbnail_url: thumbnail ? thumbnail.src : null,
+      permalink,
+      uploader_id: uploaderId,
+      uploader_name: uploaderId && uploaderId === msgData.user_id ? msgData.user_name : null
+    };
+  }
+
+  // Images, snippets, PDFs and posts/canvases render differently and are
+  // reported separately; everything else is a generic file
+  getFileKind(file, filetype) {
+    if (file.matches('[data-qa*="canvas"], .p-canvas_file') ||
+      file.querySelector('[data-qa*="canvas"], .p-canvas_file') ||
+      filetype === 'quip' || filetype === 'canvas') {
+      return 'canvas';
+    }
+    if (file.querySelector('.c-file__post, [data-qa*="post"]') || filetype === 'post' || filetype === 'space') {
+      return 'post';
+    }
+    if (file.querySelector('.p-file_snippet, [data-qa*="snippet"], .c-file__snippet')) {
+      return 'snippet';
+    }
+    if (filetype === 'pdf') {
+      return 'pdf';
+    }
+    if (file.matches('.p-file_image_thumbnail__wrapper, [data-qa="message_file_image"]') ||
+      file.querySelector('.p-file_image_thumbnail__wrapper, [data-qa="message_file_image_thumbnail"]') ||
+      /^(png|jpe?g|gif|webp|heic|bmp|svg)$/.test(filetype || '')) {
+      return 'image';
+    }
+    return 'file';
+  }
+
+  // Canonical form of an emoji element: `:shortcode:` plus the Unicode character
+  // for standard emoji. Slack has shipped the name in data-stringify-emoji, alt
+  // (with or without colons) and aria-label, and standard emoji images are named
+  // after their code points. Custom emoji are added to the workspace catalog.
+  parseEmojiElement(node) {
+    const img = node.tagName.toLowerCase() === 'img' ? node : node.querySelector('img');
+    const attr = name => node.getAttribute(name) || img?.getAttribute(name) || null;
+    const backgroundMatch = (node.getAttribute('style') || '').match(/url\(["']?([^"')]+)/);
+    const src = img?.src || backgroundMatch?.[1] || '';
+
+    let name = null;
+    let unicode = null;
+    const candidates = [
+      attr('data-stringify-emoji'),
+      attr('data-emoji-name'),
+      attr('alt'),
+      node.textContent
+    ];
+    for (const candidate of candidates) {
+      const value = (candidate || '').trim();
+      if (!value) continue;
+      const shortcodeMatch = value.match(/^:?([a-z0-9_+'-]+(?:::skin-tone-\d)?):?$/i);
+      if (shortcodeMatch && !name) {
+        name = shortcodeMatch[1].toLowerCase();
+      } else if (/\p{Extended_Pictographic}/u.test(value) && !unicode) {
+        unicode = value;
+      }
+    }
+
+    const codePoints = src.match(/\/([0-9a-f]{4,6}(?:-[0-9a-f]{4,6})*)(?:@\dx)?\.(?:png|gif|webp)/i);
+    if (!unicode && codePoints) {
+      unicode = String.fromCodePoint(...codePoints[1].split('-').map(hex => parseInt(hex, 16)));
+    }
+
+    const custom = /emoji\.slack-edge\.com|\/emoji\/T[A-Z0-9]+\//.test(src);
+    if (custom && name) {
+      this.customEmoji[name] = src;
+    }
+
+    return {
+      shortcode: name ? `:${name}:` : null,
+      unicode: custom ? null : unicode,
+      custom
+    };
+  }
+
+  // Distinct emoji used in a message body
+  extractEmojis(root) {
+    const emojis = [];
+    const seen = new Set();
+    root.querySelectorAll(EMOJI_SELECTOR).forEach(node => {
+      if (node.parentElement?.closest(EMOJI_SELECTOR)) return;
+      const emoji = this.parseEmojiElement(node);
+      const key = emoji.shortcode || emoji.unicode;
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      emojis.push(emoji);
+    });
+    return emojis;
+  }
+
+  // Code from a message: preformatted blocks and inline code in the body, plus
+  // shared snippet files. Content keeps its exact whitespace.
+  extractCodeBlocks(el, textEl) {
+    const codeBlocks = [];
+
+    if (textEl) {
+      textEl.querySelectorAll('pre, code').forEach(node => {
+        // Slack nests code inside pre for some blocks; the pre already covers it
+        if (node.tagName.toLowerCase() === 'code' && node.closest('pre')) return;
+        codeBlocks.push({
+          type: node.tagName.toLowerCase() === 'pre' ? 'block' : 'inline',
+          language: null,
+          content: this.getPreformattedText(node)
+        });
+      });
+    }
+
+    el.querySelectorAll('.p-file_snippet, [data-qa="snippet"], .c-file__snippet').forEach(snippet => {
+      if (snippet.parentElement?.closest('.p-file_snippet, [data-qa="snippet"], .c-file__snippet')) return;
+      const lines = snippet.querySelectorAll('.p-file_snippet__line, [data-qa="snippet_line"]');
+      const codeEl = snippet.querySelector('pre, code');
+      let content = null;
+      if (lines.length > 0) {
+        content = Array.from(lines).map(line => this.getPreformattedText(line)).join('\n');
+      } else if (codeEl) {
+        content = this.getPreformattedText(codeEl);
+      }
+      if (content === null) return;
+
+      codeBlocks.push({
+        type: 'snippet',
+        language: this.getSnippetLanguage(snippet),
+        content
+      });
+    });
+
+    return codeBlocks;
+  }
+
+  // Language from a data attribute, a language-* class, or the file meta line
+  // ("Python snippet · 12 lines")
+  getSnippetLanguage(snippet) {
+    const tagged = snippet.querySelector('[data-language], [class*="language-"]') || snippet;
+    const dataLanguage = tagged.getAttribute('data-language');
+    if (dataLanguage) return dataLanguage.toLowerCase();
+    const classMatch = (tagged.getAttribute('class') || '').match(/\blanguage-([\w+#-]+)/);
+    if (classMatch) return classMatch[1].toLowerCase();
+
+    const container = snippet.closest('[data-qa="message_file"], .c-file__container') || snippet;
+    const metaEl = container.querySelector('[data-qa="file_meta"], .c-file__meta, .c-file__subtitle');
+    const metaMatch = metaEl?.textContent.match(/^\s*([\w+#.-]+)\s+snippet/i);
+    return metaMatch && metaMatch[1].toLowerCase() !== 'plain' ? metaMatch[1].toLowerCase() : null;
+  }
+
+  // Render a rich-text element as plain text and as Markdown.
+  // Slack marks its formatting with plain tags (b, i, s, code, pre, blockquote,
+  // ul/ol) inside block-level sections, so a single walk produces both forms.
+  renderRichText(root) {
+    const rendered = this.renderRichNode(root, { listDepth: 0 });
+    return {
+      text: this.tidyRenderedText(rendered.text),
+      markdown: this.tidyRenderedText(rendered.markdown)
+    };
+  }
+
+  tidyRenderedText(value) {
+    return value
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  escapeMarkdown(value) {
+    return value.replace(/([\\`*_~])/g, '\\$1');
+  }
+
+  // Join rendered children, putting block-level parts on their own lines
+  joinRichParts(parts) {
+    let text = '';
+    let markdown = '';
+    parts.forEach((part, index) => {
+      const previous = parts[index - 1];
+      if (previous && (part.block || previous.block)) {
+        if (text && !text.endsWith('\n')) text += '\n';
+        if (markdown && !markdown.endsWith('\n')) markdown += '\n';
+      }
+      text += part.text;
+      markdown += part.markdown;
+    });
+    return { text, markdown };
+  }
+
+  renderRichChildren(node, context) {
+    const parts = Array.from(node.childNodes)
+      .map(child => this.renderRichNode(child, context))
+      .filter(part => part.text || part.markdown || part.block);
+    return this.joinRichParts(parts);
+  }
+
+  // Wrap inline content in a Markdown marker, keeping surrounding spaces outside
+  // it so "**bold **" does not break the emphasis.
+  wrapMarkdown(inner, marker) {
+    const match = inner.markdown.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return inner;
+    return {
+      text: inner.text,
+      markdown: `${match[1]}${marker}${match[2]}${marker}${match[3]}`
+    };
+  }
+
+  // Text of a preformatted element with <br> turned into newlines and all other
+  // whitespace kept exactly
+  getPreformattedText(node) {
+    let value = '';
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        value += child.textContent;
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        value += child.tagName.toLowerCase() === 'br' ? '\n' : this.getPreformattedText(child);
+      }
+    });
+    return value;
+  }
+
+  renderRichList(node, context) {
+    const ordered = node.tagName.toLowerCase() === 'ol';
+    const indentAttr = parseInt(node.getAttribute('data-indent'), 10);
+    const depth = Number.isNaN(indentAttr) ? (context.listDepth || 0) : indentAttr;
+    const indent = '  '.repeat(depth);
+    const start = parseInt(node.getAttribute('start'), 10) || 1;
+    const childContext = { ...context, listDepth: depth + 1 };
+
+    const lines = [];
+    let itemNumber = start;
+    Array.from(node.children).forEach(item => {
+      if (item.tagName.toLowerCase() !== 'li') return;
+      const inner = this.renderRichChildren(item, childContext);
+      const bullet = ordered ? `${itemNumber}.` : '-';
+      itemNumber++;
+      lines.push({
+        text: `${indent}${bullet} ${inner.text.trim()}`,
+        markdown: `${indent}${bullet} ${inner.markdown.trim()}`
+      });
+    });
+
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      markdown: lines.map(line => line.markdown).join('\n'),
+      block: true
+    };
+  }
+
+  renderRichNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const value = node.textContent;
+      return { text: value, markdown: this.escapeMarkdown(value) };
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return { text: '', markdown: '' };
+    }
+
+    if (node.matches(EDITED_LABEL_SELECTOR)) {
+      return { text: '', markdown: '' };
+    }
+
+    if (node.matches(EMOJI_SELECTOR)) {
+      const emoji = this.parseEmojiElement(node);
+      const value = emoji.shortcode || emoji.unicode || '';
+      return { text: value, markdown: value };
+    }
+
+    // Mentions link to Slack-internal routes, so keep only their visible label
+    if (node.matches(MENTION_SELECTOR) && this.getMentionInfo(node)) {
+      const label = node.textContent;
+      return { text: label, markdown: this.escapeMarkdown(label) };
+    }
+
+    const tag = node.tagName.toLowerCase();
+
+    switch (tag) {
+      case 'br':
+        return { text: '\n', markdown: '\n' };
+
+      case 'img': {
+        const alt = node.getAttribute('alt') || '';
+        return { text: alt, markdown: this.escapeMarkdown(alt) };
+      }
+
+      case 'pre': {
+        const code = this.getPreformattedText(node).replace(/\n+$/, '');
+        return { text: code, markdown: '```\n' + code + '\n```', block: true };
+      }
+
+      case 'code': {
+        const code = this.getPreformattedText(node);
+        // Use a longer fence when the code itself contains backticks
+        const fence = code.includes('`') ? '``' : '`';
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return { text: code, markdown: `${fence}${padding}${code}${padding}${fence}` };
+      }
+
+      case 'b':
+      case 'strong':
+        return this.wrapMarkdown(this.renderRichChildren(node, context), '**');
+
+      case 'i':
+      case 'em':
+        return this.wrapMarkdown(this.renderRichChildren(node, context), '_');
+
+      case 's':
+      case 'strike':
+      case 'del':
+        return this.wrapMarkdown(this.renderRichChildren(node, context), '~~');
+
+      case 'a': {
+        const inner = this.renderRichChildren(node, context);
+        const href = this.getAnchorUrl(node);
+        if (!href) return inner;
+        const label = inner.text.trim();
+        // Slack shortens long URLs in the label ("https://example.com/pa...")
+        const shortened = label.replace(/(\.\.\.|…)$/, '');
+        const markdown = !label || label === href || (shortened !== label && href.startsWith(shortened))
+          ? `<${href}>`
+          : `[${inner.markdown.trim()}](${href.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+        return { text: inner.text, markdown };
+      }
+
+      case 'blockquote': {
+        const inner = this.renderRichChildren(node, context);
+        const quoted = this.tidyRenderedText(inner.markdown)
+          .split('\n')
+          .map(line => (line ? `> ${line}` : '>'))
+          .join('\n');
+        return { text: this.tidyRenderedText(inner.text), markdown: quoted, block: true };
+      }
+
+      case 'ul':
+      case 'ol':
+        return this.renderRichList(node, context);
+
+      case 'div':
+      case 'p':
+      case 'li':
+        return { ...this.renderRichChildren(node, context), block: true };
+
+      default:
+        return this.renderRichChildren(node, context);
+    }
+  }
+
   // Send progress to popup
   sendProgress() {
     chrome.runtime.sendMessage({
@@ -1580,6 +3065,11 @@ class SlackExtractor {
       userCount: this.users.size,
       channelName: this.channelName,
       channelId: this.channelId,
+      teamId: this.teamId,
+      teamName: this.teamName,
+      teamDomain: this.teamDomain,
+      conversationType: this.conversationType,
+      channelKey: this.channelKey,
       scrollProgress: this.scrollProgress,
       lastSaveTime: this.lastSaveTime
     };
@@ -1631,15 +3121,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse(extractor.getState());
       break;
     case 'CLEAR_DATA':
-      extractor.clearData();
+      extractor.clearData(message.channelKey);
       sendResponse({ success: true });
       break;
+    case 'RELOAD_STATE':
+      extractor.reloadState(message.channelKey)
+        .then(reloaded => sendResponse({ reloaded }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+    case 'TRIM_DATA':
+      sendResponse({ removed: extractor.trimMessages(message.channelKey, message.beforeTs) });
+      break;
+    case 'LIST_SIDEBAR_CHANNELS':
+      sendResponse(extractor.listSidebarChannels());
+      break;
+    case 'CHECK_SELECTORS':
+      sendResponse(extractor.checkSelectors(message.profile));
+      break;
     default:
       sendResponse({ error: 'Unknown action' });
   }
   return true; // Keep channel open for async response
 });
 
+// Pick up selector profile edits from the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.selectorProfiles || changes.activeSelectorProfile)) {
+    extractor.loadSelectorProfile();
+  }
+});
+
 // Handle page unload
 window.addEventListener('beforeunload', () => {
   if (extractor.isRunning) {
@@ -0,0 +1,276 @@
+/**
+ * Slack Channel Extractor - UI locale tables
+ * Words Slack shows in the labels the content script matches on, per UI language.
+ * Loaded before content.js so matching works whatever language Slack runs in.
+ * The reaction tooltip words are left empty where Slack's wording is not known;
+ * those reactions are stored without their users. The join/leave/topic/purpose
+ * notice phrases are Slack's wording as far as known; a notice none of them
+ * matches is kept as a user message.
+ */
+
+const SLACK_LOCALES = {
+  en: {
+    reply: ['replies', 'reply'],
+    replyCounter: [],
+    thread: ['thread'],
+    close: ['close'],
+    edited: ['edited'],
+    reactedWith: ['reacted with'],
+    and: ['and'],
+    others: ['others', 'other'],
+    you: ['you'],
+    joined: ['joined #', 'joined the channel', 'was added to'],
+    left: ['left #', 'left the channel', 'was removed from'],
+    topic: ['the channel topic'],
+    purpose: ['the channel purpose', 'the channel description']
+  },
+  de: {
+    reply: ['Antworten', 'Antwort'],
+    replyCounter: [],
+    thread: ['Thread'],
+    close: ['Schließen'],
+    edited: ['bearbeitet'],
+    reactedWith: ['haben mit', 'hat mit'],
+    and: ['und'],
+    others: ['weitere', 'weiteren'],
+    you: ['du', 'Sie'],
+    joined: ['beigetreten', 'wurde hinzugefügt', 'hinzugefügt zu'],
+    left: ['verlassen', 'wurde entfernt', 'entfernt aus'],
+    topic: ['Channel-Thema'],
+    purpose: ['Channel-Zweck', 'Channel-Beschreibung']
+  },
+  fr: {
+    reply: ['réponses', 'réponse'],
+    replyCounter: [],
+    thread: ['fil de discussion'],
+    close: ['Fermer'],
+    edited: ['modifié'],
+    reactedWith: ['ont réagi avec', 'a réagi avec'],
+    and: ['et'],
+    others: ['autres', 'autre'],
+    you: ['vous', 'toi'],
+    joined: ['a rejoint', 'a été ajouté'],
+    left: ['a quitté', 'a été retiré'],
+    topic: ['le sujet de la chaîne'],
+    purpose: ['l’objectif de la chaîne', 'l\'objectif de la chaîne', 'la description de la chaîne']
+  },
+  es: {
+    reply: ['respuestas', 'respuesta'],
+    replyCounter: [],
+    thread: ['hilo'],
+    close: ['Cerrar'],
+    edited: ['editado'],
+    reactedWith: ['reaccionaron con', 'reaccionó con'],
+    and: ['y'],
+    others: ['más', 'otros', 'otro'],
+    you: ['tú', 'usted'],
+    joined: ['se unió', 'se ha unido', 'fue añadido', 'ha sido añadido'],
+    left: ['salió de', 'ha salido de', 'fue eliminado de'],
+    topic: ['el tema del canal'],
+    purpose: ['el propósito del canal', 'la descripción del canal']
+  },
+  pt: {
+    reply: ['respostas', 'resposta'],
+    replyCounter: [],
+    thread: ['thread'],
+    close: ['Fechar'],
+    edited: ['editado'],
+    reactedWith: ['reagiram com', 'reagiu com'],
+    and: ['e'],
+    others: ['outros', 'outro'],
+    you: ['você'],
+    joined: ['entrou no canal', 'entrou em #', 'foi adicionado'],
+    left: ['saiu do canal', 'saiu de #', 'foi removido'],
+    topic: ['o tópico do canal'],
+    purpose: ['a finalidade do canal', 'a descrição do canal']
+  },
+  it: {
+    reply: ['risposte', 'risposta'],
+    replyCounter: [],
+    thread: ['thread'],
+    close: ['Chiudi'],
+    edited: ['modificato'],
+    reactedWith: ['hanno reagito con', 'ha reagito con'],
+    and: ['e'],
+    others: ['altri', 'altro'],
+    you: ['tu'],
+    joined: ['si è unito', 'è entrato', 'è stato aggiunto'],
+    left: ['ha abbandonato', 'ha lasciato', 'è stato rimosso'],
+    topic: ['l’argomento del canale', 'l\'argomento del canale'],
+    purpose: ['lo scopo del canale', 'la descrizione del canale']
+  },
+  ja: {
+    reply: ['件の返信', '返信'],
+    replyCounter: ['件'],
+    thread: ['スレッド'],
+    close: ['閉じる'],
+    edited: ['編集済み'],
+    reactedWith: [],
+    and: [],
+    others: [],
+    you: [],
+    joined: ['参加しました', '追加されました'],
+    left: ['退出しました', '削除されました'],
+    topic: ['チャンネルトピック'],
+    purpose: ['チャンネルの目的', 'チャンネルの説明']
+  },
+  ko: {
+    reply: ['개의 답글', '답글'],
+    replyCounter: ['개'],
+    thread: ['스레드'],
+    close: ['닫기'],
+    edited: ['편집됨'],
+    reactedWith: [],
+    and: [],
+    others: [],
+    you: [],
+    joined: ['참여했습니다', '추가되었습니다'],
+    left: ['나갔습니다', '제거되었습니다'],
+    topic: ['채널 주제'],
+    purpose: ['채널 목적', '채널 설명']
+  },
+  'zh-cn': {
+    reply: ['条回复', '回复'],
+    replyCounter: ['条', '个'],
+    thread: ['消息列', '话题'],
+    close: ['关闭'],
+    edited: ['已编辑'],
+    reactedWith: [],
+    and: [],
+    others: [],
+    you: [],
+    joined: ['加入了', '被添加到'],
+    left: ['离开了', '被移出'],
+    topic: ['频道主题'],
+    purpose: ['频道目的', '频道描述']
+  },
+  'zh-tw': {
+    reply: ['則回覆', '回覆'],
+    replyCounter: ['則', '個'],
+    thread: ['討論串'],
+    close: ['關閉'],
+    edited: ['已編輯'],
+    reactedWith: [],
+    and: [],
+    others: [],
+    you: [],
+    joined: ['加入了', '被新增至'],
+    left: ['離開了', '被移出'],
+    topic: ['頻道主題'],
+    purpose: ['頻道目的', '頻道說明']
+  }
+};
+
+// Digits with optional grouping: "1,234", "1.234", "1 234" (no-break spaces), "1'234"
+const LOCALE_NUMBER_SOURCE = '\\d{1,3}(?:[,.\\u00a0\\u202f\'’]\\d{3})+(?!\\d)|\\d+';
+// Same, also allowing a plain space; only safe right before a reply word
+const LOCALE_SPACED_NUMBER_SOURCE = '\\d{1,3}(?:[,.\\u00a0\\u202f\'’ ]\\d{3})+(?!\\d)|\\d+';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Locale table matching the page language, falling back to English
+function getPageLocale() {
+  const pageLang = (document.documentElement.lang || navigator.language || 'en').toLowerCase();
+  if (SLACK_LOCALES[pageLang]) return pageLang;
+  if (pageLang.startsWith('zh')) return /tw|hk|hant/.test(pageLang) ? 'zh-tw' : 'zh-cn';
+  const base = pageLang.split('-')[0];
+  return SLACK_LOCALES[base] ? base : 'en';
+}
+
+// Words for one label in every supported language, the page's language first.
+// Matching all of them keeps parsing working when the page language is unknown.
+function getLocaleWords(key) {
+  const words = [...SLACK_LOCALES[getPageLocale()][key]];
+  Object.values(SLACK_LOCALES).forEach(locale => {
+    locale[key].forEach(word => {
+      if (!words.includes(word)) words.push(word);
+    });
+  });
+  return words;
+}
+
+// First number in a label, with digit grouping and full-width digits handled
+function parseLocaleNumber(text) {
+  if (!text) return null;
+  const match = text.normalize('NFKC').match(new RegExp(LOCALE_NUMBER_SOURCE));
+  return match ? parseInt(match[0].replace(/\D/g, ''), 10) : null;
+}
+
+// Reply count from a label such as "1,234 replies", "5件の返信", "回复 5 条" or
+// "답글 5개". Prefers the number next to a reply word over other numbers. A
+// number after the reply word only counts when a counter word or the end of the
+// label follows it, so "Last reply 3 days ago" has no count rather than 3; a
+// label with a reply word but no count next to it falls back to nothing.
+function parseReplyCount(text) {
+  if (!text) return null;
+  const normalized = text.normalize('NFKC');
+  const words = getLocaleWords('reply').map(escapeRegExp).join('|');
+  const counters = getLocaleWords('replyCounter').map(escapeRegExp).join('|');
+  const before = normalized.match(new RegExp(`(${LOCALE_SPACED_NUMBER_SOURCE})\\s*(?:${words})`, 'i'));
+  const after = normalized.match(
+    new RegExp(`(?:${words})\\D{0,3}?(${LOCALE_NUMBER_SOURCE})\\s*(?:${counters}|$)`, 'i')
+  );
+  const match = before || after;
+  if (match) return parseInt(match[1].replace(/\D/g, ''), 10);
+  return new RegExp(`(?:${words})`, 'i').test(normalized) ? null : parseLocaleNumber(normalized);
+}
+
+// Reacting users named in a reaction tooltip, e.g. "Alice, Bob and 3 others
+// reacted with :thumbsup:" or "Alice et Bob ont réagi avec :thumbsup:". The
+// conjunction and "others" words come from the language whose phrase matched,
+// so names are only split on that language's "and". Returns null when the label
+// does not name the reacting users.
+function parseReactionNames(label) {
+  if (!label) return null;
+
+  const codes = [...new Set([getPageLocale(), ...Object.keys(SLACK_LOCALES)])];
+  for (const code of codes) {
+    const locale = SLACK_LOCALES[code];
+    if (locale.reactedWith.length === 0) continue;
+    const phrase = locale.reactedWith.map(escapeRegExp).join('|');
+    const phraseMatch = label.match(new RegExp(`\\s(?:${phrase})\\s`, 'i'));
+    if (!phraseMatch) continue;
+
+    const and = locale.and.map(escapeRegExp).join('|');
+    const others = locale.others.map(escapeRegExp).join('|');
+    const you = locale.you.map(escapeRegExp).join('|');
+
+    let namesPart = label.slice(0, phraseMatch.index).trim();
+    let truncated = false;
+    // "and 3 others", or "y otros 3" where the number comes last
+    const othersMatch = namesPart.match(
+      new RegExp(`\\s*(?:,\\s*)?(?:${and})\\s+(?:\\d+\\s+(?:${others})|(?:${others})\\s+\\d+)$`, 'i')
+    );
+    if (othersMatch) {
+      truncated = true;
+      namesPart = namesPart.slice(0, othersMatch.index);
+    }
+
+    const names = namesPart
+      .split(new RegExp(`\\s*,\\s*|\\s+(?:${and})\\s+`, 'i'))
+      .map(name => name.replace(new RegExp(`\\s*\\((?:${you})\\)$`, 'i'), '').trim())
+      .filter(Boolean);
+    return { names, truncated };
+  }
+  return null;
+}
+
+// "(edited)" marker at the end of a message, in any supported language
+function buildEditedMarkerPattern() {
+  const words = getLocaleWords('edited').map(escapeRegExp).join('|');
+  return new RegExp(`\\s*[(（](?:${words})[)）]$`, 'i');
+}
+
+// Join/leave/topic/purpose notices, in any supported language. Topic and
+// purpose come first so a new topic that reads "joined" keeps its subtype.
+function buildSystemMessagePatterns() {
+  const pattern = key => new RegExp(getLocaleWords(key).map(escapeRegExp).join('|'), 'i');
+  return [
+    { subtype: 'channel_topic', pattern: pattern('topic') },
+    { subtype: 'channel_purpose', pattern: pattern('purpose') },
+    { subtype: 'channel_join', pattern: pattern('joined') },
+    { subtype: 'channel_leave', pattern: pattern('left') }
+  ];
+}
@@ -0,0 +1,285 @@
+/**
+ * Slack Channel Extractor - Selector profiles
+ * DOM selectors the content script depends on, grouped into named profiles that
+ * can be edited or imported on the options page. Shared by content.js and the
+ * options page.
+ *
+ * Each field lists selectors in priority order. `{reply}`, `{thread}` and
+ * `{close}` expand to the matching word in every supported Slack UI language.
+ * The scope says where the health check runs a field's selectors: on the page,
+ * inside the message list, inside each visible message, inside the thread panel
+ * or inside an open profile card.
+ */
+
+const SELECTOR_FIELDS = {
+  messageList: {
+    label: 'Message list',
+    scope: 'document',
+    selectors: ['.c-message_list']
+  },
+  messageContainer: {
+    label: 'Message container',
+    scope: 'messageList',
+    selectors: [
+      '[data-qa="message_container"][data-msg-ts]',
+      '.c-message_kit__message[data-msg-ts]',
+      '[role="listitem"] [data-msg-ts]',
+      '[data-qa="message_container"]'
+    ]
+  },
+  messagePane: {
+    label: 'Message pane (when the message list is missing)',
+    scope: 'document',
+    selectors: [
+      '[data-qa="message_pane"]',
+      '.c-virtual_list__scroll_container',
+      '.p-message_pane__scrollable',
+      '[data-qa="slack_kit_scrollbar"]'
+    ]
+  },
+  primaryView: {
+    label: 'Main view',
+    scope: 'document',
+    selectors: ['.p-workspace__primary_view']
+  },
+  scrollContainer: {
+    label: 'Message scroll container',
+    scope: 'document',
+    selectors: [
+      '.c-message_list .c-scrollbar__hider',
+      '.p-message_pane__scrollable',
+      '[data-qa="slack_kit_scrollbar"]',
+      '.c-virtual_list__scroll_container'
+    ]
+  },
+  senderName: {
+    label: 'Sender name',
+    scope: 'message',
+    selectors: ['[data-qa="message_sender_name"]', '.c-message__sender_link']
+  },
+  senderButton: {
+    label: 'Sender button',
+    scope: 'message',
+    selectors: ['button[data-message-sender]']
+  },
+  avatar: {
+    label: 'Sender avatar',
+    scope: 'message',
+    selectors: ['[data-qa="message_avatar"]']
+  },
+  guestBadge: {
+    label: 'Guest badge',
+    scope: 'message',
+    selectors: ['[data-qa="guest_badge"]', '[data-qa="message_sender_guest_badge"]', '.c-guest_badge']
+  },
+  messageText: {
+    label: 'Message text',
+    scope: 'message',
+    selectors: ['[data-qa="message-text"]', '.c-message__body', '.p-rich_text_section']
+  },
+  replyCount: {
+    label: 'Reply count',
+    scope: 'message',
+    selectors: [
+      '[data-qa="replies_button_count"]',
+      '[data-qa="replies_button"]',
+      '.c-message__reply_count',
+      '[class*="ThreadRepliesLink"]',
+      '[class*="reply_count"]',
+      'a[class*="reply"]',
+      'button[class*="reply"]',
+      '[aria-label*="{reply}" i]'
+    ]
+  },
+  replyButton: {
+    label: 'Thread replies button',
+    scope: 'message',
+    selectors: [
+      '[data-qa="replies_button_count"]',
+      '[data-qa="replies_button"]',
+      '[data-qa="message-action-bar-thread-reply-button"]',
+      'button[aria-label*="{reply}" i]',
+      '.c-message__reply_count',
+      '[class*="ThreadRepliesLink"]',
+      'a[class*="reply"]',
+      'button[class*="reply"]'
+    ]
+  },
+  replyLink: {
+    label: 'Reply link (shown on hover)',
+    scope: 'message',
+    selectors: ['[class*="reply"]', '[class*="Reply"]', '[aria-label*="{reply}" i]']
+  },
+  reaction: {
+    label: 'Reaction',
+    scope: 'message',
+    selectors: ['[data-qa="reaction"]', '.c-reaction']
+  },
+  reactionCount: {
+    label: 'Reaction count',
+    scope: 'message',
+    selectors: ['[data-qa="reaction_count"]', '.c-reaction__count']
+  },
+  attachment: {
+    label: 'Attachment',
+    scope: 'message',
+    selectors: ['[data-qa="attachment"]', '.c-message_attachment']
+  },
+  attachmentTitle: {
+    label: 'Attachment title',
+    scope: 'message',
+    selectors: ['[data-qa="attachment_title"]', '.c-message_attachment__title']
+  },
+  file: {
+    label: 'File',
+    scope: 'message',
+    selectors: [
+      '[data-qa="message_file"]',
+      '.c-file__container',
+      '.p-file_image_thumbnail__wrapper',
+      '[data-qa="message_file_image"]'
+    ]
+  },
+  threadPanel: {
+    label: 'Thread panel',
+    scope: 'document',
+    selectors: [
+      '[data-qa="threads_view"]',
+      '[data-qa="threads_flexpane"]',
+      '[data-qa="message_pane_thread"]',
+      '.p-threads_flexpane',
+      '.p-flexpane__inside_body',
+      '[aria-label*="{thread}" i]',
+      'section[class*="Thread"]',
+      'div[class*="ThreadPanel"]',
+      '.p-workspace__secondary_view',
+      '.p-flexpane'
+    ]
+  },
+  threadScrollContainer: {
+    label: 'Thread scroll container',
+    scope: 'threadPanel',
+    selectors: [
+      '.c-scrollbar__hider',
+      '.c-virtual_list__scroll_container',
+      '[data-qa="slack_kit_scrollbar"]',
+      '[class*="scrollbar"][class*="hider"]'
+    ]
+  },
+  threadMessage: {
+    label: 'Thread message',
+    scope: 'threadPanel',
+    selectors: [
+      '[data-qa="message_container"][data-msg-ts]',
+      '[data-msg-ts]',
+      '.c-message_kit__message[data-msg-ts]',
+      '[data-qa="virtual-list-item"] [data-msg-ts]',
+      '[role="listitem"] [data-msg-ts]'
+    ]
+  },
+  closeButton: {
+    label: 'Thread close button',
+    scope: 'document',
+    selectors: [
+      '[data-qa="close_flexpane"]',
+      '[data-qa="flexpane_close_button"]',
+      'button[aria-label*="{close}" i]',
+      '.p-flexpane__close_button',
+      '[class*="flexpane"] button[class*="close"]',
+      '[class*="Thread"] button[class*="close"]'
+    ]
+  },
+  userPopover: {
+    label: 'Profile card',
+    scope: 'document',
+    selectors: [
+      '[data-qa="member_profile_popover"]',
+      '[data-qa="member-profile-hover-card"]',
+      '.p-member_profile_hover_card',
+      '.p-member_profile_card'
+    ]
+  },
+  popoverDisplayName: {
+    label: 'Profile card display name',
+    scope: 'userPopover',
+    selectors: ['[data-qa="member_profile_display_name"]', '.p-member_profile_name__display_name']
+  },
+  popoverRealName: {
+    label: 'Profile card real name',
+    scope: 'userPopover',
+    selectors: ['[data-qa="member_profile_real_name"]', '.p-member_profile_name__real_name', '.p-member_profile_hover_card__name']
+  },
+  popoverTitle: {
+    label: 'Profile card title',
+    scope: 'userPopover',
+    selectors: ['[data-qa="member_profile_title"]', '.p-member_profile_field__title', '.p-member_profile_hover_card__title']
+  },
+  popoverAvatar: {
+    label: 'Profile card image',
+    scope: 'userPopover',
+    selectors: ['[data-qa="member_profile_image"] img', '.p-member_profile_image img', 'img[src*="slack-edge.com"]']
+  }
+};
+
+const DEFAULT_SELECTOR_PROFILE_NAME = 'Default';
+
+// Built-in profile; it is read-only and used for any field a custom profile leaves out
+function getDefaultSelectorProfile() {
+  const selectors = {};
+  Object.entries(SELECTOR_FIELDS).forEach(([key, field]) => {
+    selectors[key] = [...field.selectors];
+  });
+  return { name: DEFAULT_SELECTOR_PROFILE_NAME, selectors };
+}
+
+// Complete a stored or imported profile with default selectors for missing fields
+function mergeSelectorProfile(profile) {
+  const merged = getDefaultSelectorProfile();
+  if (!profile) return merged;
+
+  merged.name = profile.name || merged.name;
+  Object.keys(SELECTOR_FIELDS).forEach(key => {
+    const selectors = profile.selectors?.[key];
+    if (Array.isArray(selectors) && selectors.length > 0) {
+      merged.selectors[key] = [...selectors];
+    }
+  });
+  return merged;
+}
+
+// Check the shape of a profile and the syntax of every selector.
+// Returns a list of problems; an empty list means the profile can be saved.
+function validateSelectorProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') {
+    return ['Profile must be a JSON object'];
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('Profile needs a "name"');
+  }
+  if (!profile.selectors || typeof profile.selectors !== 'object') {
+    errors.push('Profile needs a "selectors" object');
+    return errors;
+  }
+
+  const probe = document.createDocumentFragment();
+  Object.entries(profile.selectors).forEach(([key, selectors]) => {
+    if (!SELECTOR_FIELDS[key]) {
+      errors.push(`Unknown selector field "${key}"`);
+      return;
+    }
+    if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string')) {
+      errors.push(`"${key}" must be a list of selector strings`);
+      return;
+    }
+    selectors.forEach(selector => {
+      try {
+        // Placeholders are filled with plain words, so any word checks the syntax
+        probe.querySelector(selector.replace(/\{(reply|thread|close)\}/g, 'word'));
+      } catch (error) {
+        errors.push(`"${key}": invalid selector ${selector}`);
+      }
+    });
+  });
+  return errors;
+}
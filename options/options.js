@@ -0,0 +1,319 @@
+// DOM Elements
+const profileSelect = document.getElementById('profileSelect');
+const activeBadge = document.getElementById('activeBadge');
+const activateBtn = document.getElementById('activateBtn');
+const duplicateBtn = document.getElementById('duplicateBtn');
+const deleteBtn = document.getElementById('deleteBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const exportBtn = document.getElementById('exportBtn');
+const profileEditor = document.getElementById('profileEditor');
+const editorErrors = document.getElementById('editorErrors');
+const saveBtn = document.getElementById('saveBtn');
+const revertBtn = document.getElementById('revertBtn');
+const checkBtn = document.getElementById('checkBtn');
+const checkSummary = document.getElementById('checkSummary');
+const checkResults = document.getElementById('checkResults');
+const checkResultsBody = document.getElementById('checkResultsBody');
+const statusMessage = document.getElementById('statusMessage');
+
+// Custom profiles by name, as stored in chrome.storage.local
+let selectorProfiles = {};
+let activeProfileName = DEFAULT_SELECTOR_PROFILE_NAME;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadProfiles();
+  setupEventListeners();
+});
+
+// Setup event listeners
+function setupEventListeners() {
+  profileSelect.addEventListener('change', () => showProfile(profileSelect.value));
+  activateBtn.addEventListener('click', activateProfile);
+  duplicateBtn.addEventListener('click', duplicateProfile);
+  deleteBtn.addEventListener('click', deleteProfile);
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', importProfile);
+  exportBtn.addEventListener('click', exportProfile);
+  saveBtn.addEventListener('click', saveProfile);
+  revertBtn.addEventListener('click', () => showProfile(profileSelect.value));
+  checkBtn.addEventListener('click', checkPage);
+}
+
+// Load stored profiles and show the selected (or active) one
+async function loadProfiles(selectedName = null) {
+  const stored = await chrome.storage.local.get(['selectorProfiles', 'activeSelectorProfile']);
+  selectorProfiles = stored.selectorProfiles || {};
+  activeProfileName = stored.activeSelectorProfile || DEFAULT_SELECTOR_PROFILE_NAME;
+  if (activeProfileName !== DEFAULT_SELECTOR_PROFILE_NAME && !selectorProfiles[activeProfileName]) {
+    activeProfileName = DEFAULT_SELECTOR_PROFILE_NAME;
+  }
+
+  profileSelect.replaceChildren();
+  [DEFAULT_SELECTOR_PROFILE_NAME, ...Object.keys(selectorProfiles).sort()].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name === DEFAULT_SELECTOR_PROFILE_NAME ? `${name} (built-in)` : name;
+    profileSelect.appendChild(option);
+  });
+
+  const name = selectedName || activeProfileName;
+  profileSelect.value = name === DEFAULT_SELECTOR_PROFILE_NAME || selectorProfiles[name]
+    ? name
+    : DEFAULT_SELECTOR_PROFILE_NAME;
+  showProfile(profileSelect.value);
+}
+
+// Stored profile by name; the built-in profile is generated from SELECTOR_FIELDS
+function getProfile(name) {
+  return name === DEFAULT_SELECTOR_PROFILE_NAME ? getDefaultSelectorProfile() : selectorProfiles[name];
+}
+
+// Put a profile in the editor; the built-in profile is read-only
+function showProfile(name) {
+  const isDefault = name === DEFAULT_SELECTOR_PROFILE_NAME;
+  profileEditor.value = JSON.stringify(getProfile(name), null, 2);
+  profileEditor.readOnly = isDefault;
+  saveBtn.disabled = isDefault;
+  revertBtn.disabled = isDefault;
+  deleteBtn.disabled = isDefault;
+  activateBtn.disabled = name === activeProfileName;
+  activeBadge.style.display = name === activeProfileName ? '' : 'none';
+  showErrors([]);
+}
+
+function showErrors(errors) {
+  editorErrors.textContent = errors.join('\n');
+  editorErrors.style.display = errors.length > 0 ? '' : 'none';
+}
+
+function showStatus(message, type = 'success') {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message ${type}`;
+}
+
+// Parse and validate the editor contents. Returns null (and shows why) when invalid.
+function readEditorProfile() {
+  let profile;
+  try {
+    profile = JSON.parse(profileEditor.value);
+  } catch (error) {
+    showErrors([`Invalid JSON: ${error.message}`]);
+    return null;
+  }
+
+  const errors = validateSelectorProfile(profile);
+  showErrors(errors);
+  return errors.length > 0 ? null : profile;
+}
+
+// Name not yet taken by the built-in or a stored profile
+function getUniqueProfileName(baseName) {
+  let name = baseName;
+  let counter = 2;
+  while (name === DEFAULT_SELECTOR_PROFILE_NAME || selectorProfiles[name]) {
+    name = `${baseName} ${counter++}`;
+  }
+  return name;
+}
+
+// Save the editor contents over the selected profile. Renaming keeps it active.
+async function saveProfile() {
+  const currentName = profileSelect.value;
+  const profile = readEditorProfile();
+  if (!profile) return;
+
+  profile.name = profile.name.trim();
+  if (profile.name !== currentName &&
+      (profile.name === DEFAULT_SELECTOR_PROFILE_NAME || selectorProfiles[profile.name])) {
+    showErrors([`A profile named "${profile.name}" already exists`]);
+    return;
+  }
+
+  delete selectorProfiles[currentName];
+  selectorProfiles[profile.name] = profile;
+  const updates = { selectorProfiles };
+  if (activeProfileName === currentName) {
+    updates.activeSelectorProfile = profile.name;
+  }
+  await chrome.storage.local.set(updates);
+
+  await loadProfiles(profile.name);
+  showStatus(`Saved profile "${profile.name}"`);
+}
+
+// Copy the selected profile (with any unsaved edits) into a new editable profile
+async function duplicateProfile() {
+  const source = readEditorProfile();
+  if (!source) return;
+
+  const profile = mergeSelectorProfile(source);
+  profile.name = getUniqueProfileName(`${source.name.trim()} copy`);
+  selectorProfiles[profile.name] = profile;
+  await chrome.storage.local.set({ selectorProfiles });
+
+  await loadProfiles(profile.name);
+  showStatus(`Created profile "${profile.name}"`);
+}
+
+async function deleteProfile() {
+  const name = profileSelect.value;
+  if (name === DEFAULT_SELECTOR_PROFILE_NAME) return;
+  if (!confirm(`Delete selector profile "${name}"?`)) return;
+
+  delete selectorProfiles[name];
+  const updates = { selectorProfiles };
+  if (activeProfileName === name) {
+    // Extraction falls back to the built-in selectors
+    updates.activeSelectorProfile = DEFAULT_SELECTOR_PROFILE_NAME;
+  }
+  await chrome.storage.local.set(updates);
+
+  await loadProfiles();
+  showStatus(`Deleted profile "${name}"`);
+}
+
+// Use the selected profile for extraction. Open Slack tabs pick it up right away.
+async function activateProfile() {
+  const name = profileSelect.value;
+  await chrome.storage.local.set({ activeSelectorProfile: name });
+  await loadProfiles(name);
+  showStatus(`"${name}" is now the active profile`);
+}
+
+// Import a profile exported from this page (or written by hand)
+async function importProfile() {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+
+  try {
+    const profile = JSON.parse(await file.text());
+    const errors = validateSelectorProfile(profile);
+    if (errors.length > 0) {
+      showErrors(errors);
+      throw new Error('the file is not a valid selector profile');
+    }
+
+    profile.name = getUniqueProfileName(profile.name.trim());
+    selectorProfiles[profile.name] = profile;
+    await chrome.storage.local.set({ selectorProfiles });
+
+    await loadProfiles(profile.name);
+    showStatus(`Imported profile "${profile.name}" from ${file.name}`);
+  } catch (error) {
+    showStatus(`Failed to import ${file.name}: ${error.message}`, 'error');
+  }
+}
+
+// Download the selected profile, complete with default selectors, as JSON
+async function exportProfile() {
+  const profile = mergeSelectorProfile(getProfile(profileSelect.value));
+  const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  try {
+    await chrome.downloads.download({
+      url,
+      filename: `slack_selectors_${slug}.json`,
+      saveAs: true
+    });
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Run the editor's profile against the most recently used Slack tab
+async function checkPage() {
+  const profile = readEditorProfile();
+  if (!profile) return;
+
+  checkBtn.disabled = true;
+  checkSummary.textContent = 'Checking...';
+  checkResults.style.display = 'none';
+
+  try {
+    const tabs = await chrome.tabs.query({ url: 'https://app.slack.com/*' });
+    if (tabs.length === 0) {
+      throw new Error('No Slack tab is open');
+    }
+    tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabs[0].id, { action: 'CHECK_SELECTORS', profile });
+    } catch (error) {
+      throw new Error('The Slack tab is not responding. Reload it and try again.');
+    }
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    renderCheckResults(response, tabs[0].title);
+  } catch (error) {
+    checkSummary.textContent = `Check failed: ${error.message}`;
+  } finally {
+    checkBtn.disabled = false;
+  }
+}
+
+function renderCheckResults(response, tabTitle) {
+  const failedFields = response.results.filter(result =>
+    result.available && !result.selectors.some(selector => selector.matches > 0)
+  );
+  const skippedFields = response.results.filter(result => !result.available);
+
+  const summary = [`Checked "${response.profileName}" on ${tabTitle || 'Slack'}`,
+    `${response.sampleSize} visible messages`,
+    `${failedFields.length} fields without a match`];
+  if (skippedFields.length > 0) {
+    summary.push(`${skippedFields.length} skipped`);
+  }
+  checkSummary.textContent = summary.join(' · ');
+
+  checkResultsBody.replaceChildren();
+  response.results.forEach(result => {
+    const fieldFailed = failedFields.includes(result);
+    result.selectors.forEach((selector, index) => {
+      const row = document.createElement('tr');
+      if (index === 0) {
+        row.className = 'field-start';
+        const fieldCell = document.createElement('td');
+        fieldCell.rowSpan = result.selectors.length;
+        fieldCell.textContent = result.label;
+        if (fieldFailed) fieldCell.className = 'field-failed';
+        row.appendChild(fieldCell);
+      }
+
+      const selectorCell = document.createElement('td');
+      selectorCell.className = 'selector';
+      selectorCell.textContent = selector.selector;
+      row.appendChild(selectorCell);
+
+      const matchesCell = document.createElement('td');
+      matchesCell.classList.add('matches');
+      if (selector.error) {
+        matchesCell.classList.add('invalid');
+        matchesCell.textContent = selector.error;
+      } else if (!result.available) {
+        matchesCell.classList.add('skipped');
+        matchesCell.textContent = {
+          threadPanel: 'No thread open',
+          userPopover: 'No profile card open'
+        }[result.scope] || 'Not found on page';
+      } else if (result.scope === 'message') {
+        matchesCell.classList.add(selector.matches > 0 ? 'match' : 'no-match');
+        matchesCell.textContent = `${selector.matches} / ${response.sampleSize} messages`;
+      } else {
+        matchesCell.classList.add(selector.matches > 0 ? 'match' : 'no-match');
+        matchesCell.textContent = String(selector.matches);
+      }
+      row.appendChild(matchesCell);
+
+      checkResultsBody.appendChild(row);
+    });
+  });
+  checkResults.style.display = '';
+}
@@ -9,6 +9,12 @@ const secondaryControls = document.getElementById('secondaryControls');
 const scrollDelay = document.getElementById('scrollDelay');
 const scrollDelayValue = document.getElementById('scrollDelayValue');
 const includeThreads = document.getElementById('includeThreads');
+const syncMode = document.getElementById('syncMode');
+const detectChanges = document.getElementById('detectChanges');
+const diagnosticsMode = document.getElementById('diagnosticsMode');
+const exportDiagnosticsBtn = document.getElementById('exportDiagnosticsBtn');
+const clearDiagnosticsBtn = document.getElementById('clearDiagnosticsBtn');
+const diagnosticsCount = document.getElementById('diagnosticsCount');
 const autoSaveInterval = document.getElementById('autoSaveInterval');
 const timeRangeFrom = document.getElementById('timeRangeFrom');
 const timeRangeTo = document.getElementById('timeRangeTo');
@@ -19,11 +25,31 @@ const userCount = document.getElementById('userCount');
 const extractionSpeed = document.getElementById('extractionSpeed');
 const progressBar = document.getElementById('progressBar');
 const lastSaveTime = document.getElementById('lastSaveTime');
+const channelSelect = document.getElementById('channelSelect');
+const includeRevisions = document.getElementById('includeRevisions');
+const subtypeFilters = document.querySelectorAll('#subtypeFilters input[data-subtype]');
+const pseudonymize = document.getElementById('pseudonymize');
+const pseudonymControls = document.getElementById('pseudonymControls');
+const pseudonymSalt = document.getElementById('pseudonymSalt');
+const generateSaltBtn = document.getElementById('generateSaltBtn');
+const exportMappingBtn = document.getElementById('exportMappingBtn');
 const exportJsonBtn = document.getElementById('exportJsonBtn');
 const exportCsvBtn = document.getElementById('exportCsvBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
 const clearDataBtn = document.getElementById('clearDataBtn');
 const dataSize = document.getElementById('dataSize');
+const storageWarning = document.getElementById('storageWarning');
+const trimBefore = document.getElementById('trimBefore');
+const trimDataBtn = document.getElementById('trimDataBtn');
 const logContainer = document.getElementById('logContainer');
+const loadSidebarBtn = document.getElementById('loadSidebarBtn');
+const sidebarChannelList = document.getElementById('sidebarChannelList');
+const queueChannelIds = document.getElementById('queueChannelIds');
+const startQueueBtn = document.getElementById('startQueueBtn');
+const stopQueueBtn = document.getElementById('stopQueueBtn');
+const queueItems = document.getElementById('queueItems');
+const selectorSettingsLink = document.getElementById('selectorSettingsLink');
 
 // State
 let extractionState = {
@@ -33,10 +59,24 @@ let extractionState = {
   messageCount: 0
 };
 
+// Channel open in the active Slack tab (storage namespace `${teamId}:${channelId}`)
+let currentChannelKey = null;
+
+// Message schema version reported by the background store, recorded in exports
+let storageSchemaVersion = null;
+
+// Stored channel records by channel key (workspace and conversation details)
+let channelRecords = {};
+
+// User directory (user ID -> profile) of the last channel dataset loaded for export
+
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
   await updateState();
+  await refreshChannelList(currentChannelKey);
+  await updateQueueView();
+  await updateDiagnosticsCount();
   setupEventListeners();
   startStatePolling();
 });
@@ -46,6 +86,13 @@ async function loadSettings() {
   const settings = await chrome.storage.local.get([
     'scrollDelay',
     'includeThreads',
+    'syncMode',
+    'detectChanges',
+    'diagnosticsMode',
+    'includeRevisions',
+    'excludeSubtypes',
+    'pseudonymize',
+    'pseudonymSalt',
     'autoSaveInterval',
     'timeRangeFrom',
     'timeRangeTo'
@@ -58,6 +105,28 @@ async function loadSettings() {
   if (settings.includeThreads !== undefined) {
     includeThreads.checked = settings.includeThreads;
   }
+  if (settings.syncMode !== undefined) {
+    syncMode.checked = settings.syncMode;
+  }
+  if (settings.detectChanges !== undefined) {
+    detectChanges.checked = settings.detectChanges;
+  }
+  if (settings.diagnosticsMode !== undefined) {
+    diagnosticsMode.checked = settings.diagnosticsMode;
+  }
+  if (settings.includeRevisions !== undefined) {
+    includeRevisions.checked = settings.includeRevisions;
+  }
+  if (settings.pseudonymize !== undefined) {
+    pseudonymize.checked = settings.pseudonymize;
+  }
+  pseudonymSalt.value = settings.pseudonymSalt || '';
+  pseudonymControls.style.display = pseudonymize.checked ? '' : 'none';
+  if (Array.isArray(settings.excludeSubtypes)) {
+    subtypeFilters.forEach(input => {
+      input.checked = !settings.excludeSubtypes.includes(input.dataset.subtype);
+    });
+  }
   if (settings.autoSaveInterval) {
     autoSaveInterval.value = settings.autoSaveInterval;
   }
@@ -74,6 +143,13 @@ async function saveSettings() {
   await chrome.storage.local.set({
     scrollDelay: parseFloat(scrollDelay.value),
     includeThreads: includeThreads.checked,
+    syncMode: syncMode.checked,
+    detectChanges: detectChanges.checked,
+    diagnosticsMode: diagnosticsMode.checked,
+    includeRevisions: includeRevisions.checked,
+    excludeSubtypes: getExcludedSubtypes(),
+    pseudonymize: pseudonymize.checked,
+    pseudonymSalt: pseudonymSalt.value.trim(),
     autoSaveInterval: parseInt(autoSaveInterval.value),
     timeRangeFrom: timeRangeFrom.value,
     timeRangeTo: timeRangeTo.value
@@ -89,6 +165,29 @@ function setupEventListeners() {
   });
 
   includeThreads.addEventListener('change', saveSettings);
+  syncMode.addEventListener('change', saveSettings);
+  detectChanges.addEventListener('change', saveSettings);
+  diagnosticsMode.addEventListener('change', saveSettings);
+  includeRevisions.addEventListener('change', saveSettings);
+  subtypeFilters.forEach(input => input.addEventListener('change', saveSettings));
+  pseudonymize.addEventListener('change', async () => {
+    // A salt is needed from the first pseudonymized export on
+    if (pseudonymize.checked && !pseudonymSalt.value.trim()) {
+      pseudonymSalt.value = generateSalt();
+    }
+    pseudonymControls.style.display = pseudonymize.checked ? '' : 'none';
+    await saveSettings();
+  });
+  pseudonymSalt.addEventListener('change', saveSettings);
+  generateSaltBtn.addEventListener('click', async () => {
+    if (pseudonymSalt.value.trim() &&
+        !confirm('A new salt gives every user a different pseudonym than in earlier exports. Continue?')) {
+      return;
+    }
+    pseudonymSalt.value = generateSalt();
+    await saveSettings();
+  });
+  exportMappingBtn.addEventListener('click', exportPseudonymMapping);
   autoSaveInterval.addEventListener('change', saveSettings);
   timeRangeFrom.addEventListener('change', saveSettings);
   timeRangeTo.addEventListener('change', saveSettings);
@@ -102,40 +201,259 @@ function setupEventListeners() {
   exportJsonBtn.addEventListener('click', () => exportData('json'));
   exportCsvBtn.addEventListener('click', () => exportData('csv'));
 
-  // Clear data button
+  // Diagnostic snapshots
+  exportDiagnosticsBtn.addEventListener('click', exportDiagnostics);
+  clearDiagnosticsBtn.addEventListener('click', clearDiagnostics);
+
+  // Import button
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', importData);
+
+  // Batch queue
+  loadSidebarBtn.addEventListener('click', loadSidebarChannels);
+  startQueueBtn.addEventListener('click', startQueue);
+  stopQueueBtn.addEventListener('click', stopQueue);
+
+  // Channel dataset picker
+  channelSelect.addEventListener('change', async () => {
+    await chrome.storage.local.set({ selectedChannelKey: channelSelect.value || null });
+    await updateDataSize();
+  });
+
+  // Clear and trim data buttons
   clearDataBtn.addEventListener('click', clearData);
+  trimDataBtn.addEventListener('click', trimData);
+
+  // Selector profiles live on the options page
+  selectorSettingsLink.addEventListener('click', () => chrome.runtime.openOptionsPage());
+}
+
+// Populate the channel dataset picker, keeping the current selection when possible
+async function refreshChannelList(preferredKey = null) {
+  const response = await chrome.runtime.sendMessage({ type: 'LIST_CHANNELS' });
+  if (!response || !response.success) return;
+
+  const channels = response.channels;
+  const keys = channels.map(channel => channel.channelKey);
+  const teamIds = new Set(channels.map(channel => channel.teamId));
+  channelRecords = {};
+  channels.forEach(channel => {
+    channelRecords[channel.channelKey] = channel;
+  });
+  const selectedKey = [preferredKey, channelSelect.value, response.selectedChannelKey]
+    .find(key => key && keys.includes(key)) || keys[0] || '';
+
+  channelSelect.innerHTML = '';
+  if (channels.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'No saved channels';
+    channelSelect.appendChild(option);
+  }
+  channels.forEach(channel => {
+    const option = document.createElement('option');
+    option.value = channel.channelKey;
+    let label = channel.channelName || channel.channelId;
+    if (teamIds.size > 1 && channel.teamName) {
+      label += ` — ${channel.teamName}`;
+    }
+    const suffix = channel.channelKey === currentChannelKey ? ' • current' : '';
+    option.textContent = `${label} (${channel.messageCount || 0})${suffix}`;
+    channelSelect.appendChild(option);
+  });
+  channelSelect.value = selectedKey;
+
+  if (selectedKey !== response.selectedChannelKey) {
+    await chrome.storage.local.set({ selectedChannelKey: selectedKey || null });
+  }
+  await updateDataSize();
 }
 
-// Clear all cached data
+// Fetch stored messages and the user directory of the selected channel dataset
+async function getSelectedChannelMessages(options = {}) {
+  if (!channelSelect.value) return { messages: [], users: {} };
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_MESSAGES',
+    channelKey: channelSelect.value,
+    options
+  });
+  if (!response || !response.success) {
+    if (response?.error) addLog(`Failed to load messages: ${response.error}`, 'error');
+    return { messages: [], users: {} };
+  }
+  storageSchemaVersion = response.schemaVersion || storageSchemaVersion;
+  return { messages: response.messages, users: response.users || {} };
+}
+
+// Clear the selected channel's cached data
 async function clearData() {
-  if (!confirm('Are you sure you want to clear all cached message data? This cannot be undone.')) {
+  const channelKey = channelSelect.value;
+  if (!channelKey) {
+    addLog('No channel data to clear', 'warning');
+    return;
+  }
+
+  const label = channelSelect.options[channelSelect.selectedIndex].textContent;
+  if (!confirm(`Are you sure you want to clear cached message data for ${label}? This cannot be undone.`)) {
     return;
   }
 
   try {
-    await chrome.storage.local.remove(['extractedMessages', 'extractedThreads', 'extractorState']);
+    const response = await chrome.runtime.sendMessage({ type: 'CLEAR_DATA', channelKey });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
 
-    // Also tell the content script to clear its state
+    // Also tell the content script to clear its state if it holds this channel
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab.url.includes('app.slack.com')) {
-      await chrome.tabs.sendMessage(tab.id, { action: 'CLEAR_DATA' });
+      await chrome.tabs.sendMessage(tab.id, { action: 'CLEAR_DATA', channelKey });
     }
 
     // Reset UI
-    messageCount.textContent = '0';
-    threadCount.textContent = '0';
-    extractedThreadCount.textContent = '0';
-    userCount.textContent = '0';
-    dataSize.textContent = 'No data';
-    lastSaveTime.textContent = 'Not saved yet';
-    progressBar.style.width = '0%';
-
-    addLog('All cached data cleared', 'success');
+    if (channelKey === currentChannelKey) {
+      messageCount.textContent = '0';
+      threadCount.textContent = '0';
+      extractedThreadCount.textContent = '0';
+      userCount.textContent = '0';
+      lastSaveTime.textContent = 'Not saved yet';
+      progressBar.style.width = '0%';
+    }
+    await refreshChannelList();
+
+    addLog(`Cleared cached data for ${label}`, 'success');
   } catch (error) {
     addLog(`Failed to clear data: ${error.message}`, 'error');
   }
 }
 
+// Settings sent to the content script for a run (also shared by every queued channel)
+function getExtractionSettings() {
+  return {
+    scrollDelay: parseFloat(scrollDelay.value),
+    includeThreads: includeThreads.checked,
+    syncMode: syncMode.checked,
+    detectChanges: detectChanges.checked,
+    diagnosticsMode: diagnosticsMode.checked,
+    autoSaveInterval: parseInt(autoSaveInterval.value),
+    timeRangeFrom: timeRangeFrom.value,
+    timeRangeTo: timeRangeTo.value
+  };
+}
+
+// Import a JSON export into the channel it came from (or the selected dataset)
+async function importData() {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    const response = await chrome.runtime.sendMessage({
+      type: 'IMPORT_DATA',
+      data,
+      channelKey: channelSelect.value || currentChannelKey
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    addLog(`Imported ${response.importedCount} messages from ${file.name} (${response.addedCount} new, ${response.mergedCount} merged)`, 'success');
+    await refreshChannelList(response.channelKey);
+  } catch (error) {
+    addLog(`Failed to import ${file.name}: ${error.message}`, 'error');
+  }
+}
+
+async function updateDiagnosticsCount() {
+  const { diagnostics = [] } = await chrome.storage.local.get(['diagnostics']);
+  diagnosticsCount.textContent = diagnostics.length;
+  exportDiagnosticsBtn.disabled = diagnostics.length === 0;
+  clearDiagnosticsBtn.disabled = diagnostics.length === 0;
+}
+
+// Download every captured snapshot as one bundle for a bug report or parser fixtures
+async function exportDiagnostics() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_DIAGNOSTICS' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    if (response.snapshots.length === 0) {
+      addLog('No diagnostic snapshots to export', 'warning');
+      return;
+    }
+
+    const bundle = {
+      exported_at: new Date().toISOString(),
+      extension_version: chrome.runtime.getManifest().version,
+      schema_version: storageSchemaVersion,
+      user_agent: navigator.userAgent,
+      total_snapshots: response.snapshots.length,
+      snapshots: response.snapshots
+    };
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    try {
+      await chrome.downloads.download({
+        url,
+        filename: `slack_diagnostics_${new Date().toISOString().slice(0, 10)}.json`,
+        saveAs: true
+      });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    addLog(`Exported ${response.snapshots.length} diagnostic snapshots`, 'success');
+  } catch (error) {
+    addLog(`Failed to export diagnostics: ${error.message}`, 'error');
+  }
+}
+
+async function clearDiagnostics() {
+  if (!confirm('Delete all diagnostic snapshots?')) return;
+
+  const response = await chrome.runtime.sendMessage({ type: 'CLEAR_DIAGNOSTICS' });
+  if (response && response.success) {
+    addLog('Diagnostic snapshots cleared', 'success');
+  } else {
+    addLog(`Failed to clear diagnostics: ${response?.error || 'Unknown error'}`, 'error');
+  }
+}
+
+// Delete the selected channel's messages older than the trim date to free storage
+async function trimData() {
+  const channelKey = channelSelect.value;
+  if (!channelKey || !trimBefore.value) {
+    addLog('Pick a channel dataset and a date to trim before', 'warning');
+    return;
+  }
+
+  const cutoffDate = new Date(`${trimBefore.value}T00:00:00`);
+  const beforeTs = cutoffDate.getTime() / 1000;
+  if (!confirm(`Delete messages older than ${cutoffDate.toLocaleDateString()} from this channel? Export first if you need them.`)) {
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'TRIM_DATA', channelKey, beforeTs });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab.url.includes('app.slack.com')) {
+      await chrome.tabs.sendMessage(tab.id, { action: 'TRIM_DATA', channelKey, beforeTs });
+    }
+
+    addLog(`Trimmed ${response.removedCount} messages`, 'success');
+    await refreshChannelList();
+  } catch (error) {
+    addLog(`Failed to trim data: ${error.message}`, 'error');
+  }
+}
+
 // Start extraction
 async function startExtraction() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -145,13 +463,7 @@ async function startExtraction() {
     return;
   }
 
-  const settings = {
-    scrollDelay: parseFloat(scrollDelay.value),
-    includeThreads: includeThreads.checked,
-    autoSaveInterval: parseInt(autoSaveInterval.value),
-    timeRangeFrom: timeRangeFrom.value,
-    timeRangeTo: timeRangeTo.value
-  };
+  const settings = getExtractionSettings();
 
   try {
     await chrome.tabs.sendMessage(tab.id, {
@@ -199,6 +511,160 @@ async function stopExtraction() {
   }
 }
 
+// A DM's or group DM's name is the other members' names
+function isDirectConversation(info) {
+  if (info.conversationType) return info.conversationType === 'im' || info.conversationType === 'mpim';
+  return /^D/.test(info.channelId || '') || /^mpdm-/.test(info.channelName || '');
+}
+
+// Workspace and channel sections recorded at the top of every export.
+// Pseudonymized exports of DMs carry the channel ID in place of the name.
+function buildExportMetadata(channelKey, pseudonymized = false) {
+  const info = channelRecords[channelKey] || {};
+  const hideName = pseudonymized && isDirectConversation(info);
+  return {
+    workspace: {
+      team_id: info.teamId || null,
+      name: info.teamName || null,
+      domain: info.teamDomain || null
+    },
+    channel: {
+      channel_key: channelKey,
+      channel_id: info.channelId || null,
+      name: hideName ? info.channelId || null : info.channelName || null,
+      conversation_type: info.conversationType || null
+    },
+    custom_emoji: info.customEmoji || {}
+  };
+}
+
+// Filename-safe label for the selected channel dataset
+function getSelectedChannelSlug(pseudonymized) {
+  const info = channelRecords[channelSelect.value] || {};
+  const label = pseudonymized && isDirectConversation(info)
+    ? info.channelId || channelSelect.value
+    : channelSelect.options[channelSelect.selectedIndex].textContent.replace(/ \(.*$/, '');
+  return label.replace(/^#/, '').replace(/[^a-zA-Z0-9_-]+/g, '_');
+}
+
+// Show the Slack sidebar's conversations as queue checkboxes
+async function loadSidebarChannels() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab.url.includes('app.slack.com')) {
+    addLog('Please navigate to Slack first', 'error');
+    return;
+  }
+
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'LIST_SIDEBAR_CHANNELS' });
+    sidebarChannelList.innerHTML = '';
+    response.channels.forEach(channel => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = channel.channelId;
+      checkbox.dataset.channelName = channel.channelName;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(channel.channelName || channel.channelId));
+      sidebarChannelList.appendChild(label);
+    });
+    addLog(`Found ${response.channels.length} channels in the sidebar`, 'info');
+  } catch (error) {
+    addLog(`Failed to read sidebar: ${error.message}`, 'error');
+  }
+}
+
+// Channels picked in the sidebar list plus any pasted channel IDs
+function getQueueChannels() {
+  const channels = [];
+  const seen = new Set();
+  const addChannel = (channelId, channelName) => {
+    if (seen.has(channelId)) return;
+    seen.add(channelId);
+    channels.push({ channelId, channelName });
+  };
+
+  sidebarChannelList.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+    addChannel(checkbox.value, checkbox.dataset.channelName || '');
+  });
+  (queueChannelIds.value.toUpperCase().match(/\b[CDG][A-Z0-9]{6,}\b/g) || []).forEach(channelId => {
+    addChannel(channelId, '');
+  });
+
+  return channels;
+}
+
+// Start extracting the selected channels one after another
+async function startQueue() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab.url.includes('app.slack.com')) {
+    addLog('Please navigate to Slack first', 'error');
+    return;
+  }
+
+  const channels = getQueueChannels();
+  if (channels.length === 0) {
+    addLog('Select or paste at least one channel for the queue', 'warning');
+    return;
+  }
+
+  try {
+    const state = await chrome.tabs.sendMessage(tab.id, { action: 'GET_STATE' });
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_QUEUE',
+      tabId: tab.id,
+      teamId: state.teamId,
+      channels,
+      settings: getExtractionSettings()
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    addLog(`Queued ${channels.length} channels for extraction`, 'success');
+    await updateQueueView();
+  } catch (error) {
+    addLog(`Failed to start queue: ${error.message}`, 'error');
+  }
+}
+
+async function stopQueue() {
+  await chrome.runtime.sendMessage({ type: 'STOP_QUEUE' });
+  addLog('Queue stopped', 'warning');
+  await updateQueueView();
+}
+
+// Render per-channel queue status from storage
+async function updateQueueView() {
+  const { extractionQueue: queue = null } = await chrome.storage.local.get(['extractionQueue']);
+  const isRunning = queue && queue.status === 'running';
+  startQueueBtn.style.display = isRunning ? 'none' : 'flex';
+  stopQueueBtn.style.display = isRunning ? 'flex' : 'none';
+
+  queueItems.innerHTML = '';
+  if (!queue) return;
+
+  queue.items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'queue-item';
+    const name = document.createElement('span');
+    name.textContent = item.channelName || item.channelId;
+    const status = document.createElement('span');
+    status.className = `queue-item-status ${item.status}`;
+    status.textContent = item.status === 'done' && item.messageCount !== null
+      ? `done (${item.messageCount})`
+      : item.status;
+    if (item.error) status.title = item.error;
+    row.appendChild(name);
+    row.appendChild(status);
+    queueItems.appendChild(row);
+  });
+}
+
+// Link back to Slack appended to conversation_text lines
+function formatPermalinkSuffix(msg) {
+  return msg.permalink ? ` <${msg.permalink}>` : '';
+}
+
 // Organize messages by threads for JSON export
 function organizeMessagesByThreads(messages) {
   const threads = {};
@@ -247,10 +713,10 @@ function organizeMessagesByThreads(messages) {
     // Build conversation text for easy reading
     let conversationText = '';
     if (thread.parent_message) {
-      conversationText += `[${thread.parent_message.message_date || ''} ${thread.parent_message.message_time || ''}] ${thread.parent_message.user_name || 'Unknown'}: ${thread.parent_message.text || ''}\n`;
+      conversationText += `[${thread.parent_message.message_date || ''} ${thread.parent_message.message_time || ''}] ${thread.parent_message.user_name || 'Unknown'}: ${thread.parent_message.text || ''}${formatPermalinkSuffix(thread.parent_message)}\n`;
     }
     thread.replies.forEach(reply => {
-      conversationText += `  └─ [${reply.message_date || ''} ${reply.message_time || ''}] ${reply.user_name || 'Unknown'}: ${reply.text || ''}\n`;
+      conversationText += `  └─ [${reply.message_date || ''} ${reply.message_time || ''}] ${reply.user_name || 'Unknown'}: ${reply.text || ''}${formatPermalinkSuffix(reply)}\n`;
     });
 
     return {
@@ -269,6 +735,7 @@ function organizeMessagesByThreads(messages) {
 
   return {
     exported_at: new Date().toISOString(),
+    schema_version: storageSchemaVersion,
     summary: {
       total_messages: messages.length,
       total_threads: threadArray.length,
@@ -280,18 +747,23 @@ function organizeMessagesByThreads(messages) {
   };
 }
 
+// Time range settings as Unix-second bounds, null where unset
+function getTimeRangeBounds() {
+  const toSeconds = (value) => {
+    const ms = value ? Date.parse(value) : NaN;
+    return Number.isNaN(ms) ? null : ms / 1000;
+  };
+  return { fromTs: toSeconds(timeRangeFrom.value), toTs: toSeconds(timeRangeTo.value) };
+}
+
 // Filter messages by current time range settings
 function filterMessagesByTimeRange(messages) {
-  const fromValue = timeRangeFrom.value;
-  const toValue = timeRangeTo.value;
+  const { fromTs, toTs } = getTimeRangeBounds();
 
-  if (!fromValue && !toValue) {
+  if (fromTs === null && toTs === null) {
     return messages; // No filter applied
   }
 
-  const fromTs = fromValue ? Date.parse(fromValue) / 1000 : null;
-  const toTs = toValue ? Date.parse(toValue) / 1000 : null;
-
   return messages.filter(msg => {
     const msgTs = parseFloat(msg.ts);
     if (isNaN(msgTs)) return true;
@@ -311,9 +783,78 @@ function escapeCSV(field) {
 }
 
 // Export data
+// Message subtypes left unchecked in the export filters
+function getExcludedSubtypes() {
+  return Array.from(subtypeFilters)
+    .filter(input => !input.checked)
+    .map(input => input.dataset.subtype);
+}
+
+// Export options passed to the background store
+function getExportOptions() {
+  return {
+    includeRevisions: includeRevisions.checked,
+    excludeSubtypes: getExcludedSubtypes(),
+    pseudonymize: pseudonymize.checked
+  };
+}
+
+// Random project salt (hex). Anyone holding it can re-create the pseudonyms.
+function generateSalt() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Download the pseudonym -> user mapping for the selected channel, kept apart from
+// the exports so only the people allowed to re-identify users receive it
+async function exportPseudonymMapping() {
+  if (!channelSelect.value) {
+    addLog('Pick a channel dataset first', 'warning');
+    return;
+  }
+
+  try {
+    // The background reads the salt from storage, so store any edit still pending
+    await saveSettings();
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_MESSAGES',
+      channelKey: channelSelect.value,
+      options: { ...getExportOptions(), pseudonymize: true }
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+
+    const mapping = {
+      ...buildExportMetadata(channelSelect.value),
+      ...response.pseudonymMapping
+    };
+    const timestamp = new Date().toISOString().slice(0, 10);
+    const channelSlug = getSelectedChannelSlug(false);
+    const blob = new Blob([JSON.stringify(mapping, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    try {
+      await chrome.downloads.download({
+        url,
+        filename: `slack_pseudonym_mapping_${channelSlug}_${timestamp}.json`,
+        saveAs: true
+      });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    addLog(`Exported mapping for ${mapping.pseudonyms.length} pseudonyms`, 'success');
+  } catch (error) {
+    addLog(`Failed to export mapping: ${error.message}`, 'error');
+  }
+}
+
 async function exportData(format) {
-  const data = await chrome.storage.local.get(['extractedMessages']);
-  let messages = data.extractedMessages || [];
+  // The background reads the salt from storage, so store any edit still pending
+  if (pseudonymize.checked) await saveSettings();
+  const selected = await getSelectedChannelMessages(getExportOptions());
+  let messages = selected.messages;
 
   if (messages.length === 0) {
     addLog('No data to export', 'warning');
@@ -335,12 +876,18 @@ async function exportData(format) {
 
   let content, filename, type;
   const timestamp = new Date().toISOString().slice(0, 10);
+  const channelSlug = getSelectedChannelSlug(pseudonymize.checked);
 
   if (format === 'json') {
     // Organize messages by threads for easier analysis
-    const organizedData = organizeMessagesByThreads(messages);
+    const organizedData = {
+      ...buildExportMetadata(channelSelect.value, pseudonymize.checked),
+      pseudonymized: pseudonymize.checked,
+      users: selected.users,
+      ...organizeMessagesByThreads(messages)
+    };
     content = JSON.stringify(organizedData, null, 2);
-    filename = `slack_messages_${timestamp}.json`;
+    filename = `slack_messages_${channelSlug}_${timestamp}.json`;
     type = 'application/json';
   } else {
     // CSV format
@@ -348,12 +895,24 @@ async function exportData(format) {
       'timestamp',
       'message_date',
       'message_time',
+      'team_id',
+      'channel_id',
       'user_id',
       'user_name',
+      'author_inferred',
+      'subtype',
+      'app_name',
       'text',
+      'is_edited',
+      'edited_at',
       'thread_ts',
+      'permalink',
       'reply_count',
-      'reactions'
+      'reactions',
+      'files',
+      'possibly_deleted',
+      'revisions',
+      'schema_version'
     ];
     const rows = messages.map(msg => {
       const dateParts = getMessageDateParts(msg);
@@ -361,16 +920,28 @@ async function exportData(format) {
         escapeCSV(msg.ts),
         escapeCSV(msg.message_date || dateParts.date),
         escapeCSV(msg.message_time || dateParts.time),
+        escapeCSV(msg.team_id || ''),
+        escapeCSV(msg.channel_id || ''),
         escapeCSV(msg.user_id || ''),
         escapeCSV(msg.user_name || ''),
+        escapeCSV(msg.author_inferred ? 'true' : 'false'),
+        escapeCSV(msg.subtype || ''),
+        escapeCSV(msg.app_name || ''),
         escapeCSV(msg.text || ''),
+        escapeCSV(msg.is_edited ? 'true' : 'false'),
+        escapeCSV(msg.edited_at || ''),
         escapeCSV(msg.thread_ts || ''),
+        escapeCSV(msg.permalink || ''),
         escapeCSV(msg.reply_count || 0),
-        escapeCSV(msg.reactions ? JSON.stringify(msg.reactions) : '')
+        escapeCSV(msg.reactions ? JSON.stringify(msg.reactions) : ''),
+        escapeCSV(JSON.stringify((msg.attachments || []).filter(attachment => attachment.type === 'file'))),
+        escapeCSV(msg.possibly_deleted ? 'true' : 'false'),
+        escapeCSV(msg.revisions ? JSON.stringify(msg.revisions) : ''),
+        escapeCSV(msg.schema_version || storageSchemaVersion || '')
       ];
     });
     content = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    filename = `slack_messages_${timestamp}.csv`;
+    filename = `slack_messages_${channelSlug}_${timestamp}.csv`;
     type = 'text/csv';
   }
 
@@ -457,7 +1028,9 @@ async function updateState() {
     const response = await chrome.tabs.sendMessage(tab.id, { action: 'GET_STATE' });
 
     if (response) {
-      channelName.textContent = response.channelName || 'Unknown Channel';
+      channelName.textContent = response.teamName
+        ? `${response.channelName || 'Unknown Channel'} · ${response.teamName}`
+        : response.channelName || 'Unknown Channel';
       messageCount.textContent = response.messageCount || 0;
       threadCount.textContent = response.threadCount || 0;
       extractedThreadCount.textContent = response.extractedThreadCount || 0;
@@ -480,18 +1053,13 @@ async function updateState() {
         lastSaveTime.textContent = `Last saved: ${new Date(response.lastSaveTime).toLocaleTimeString()}`;
       }
 
-      // Update data size with time range filter info
-      const data = await chrome.storage.local.get(['extractedMessages']);
-      const allMessages = data.extractedMessages || [];
-      const filteredMessages = filterMessagesByTimeRange(allMessages);
-      const size = JSON.stringify(allMessages).length;
-
-      if (filteredMessages.length < allMessages.length) {
-        dataSize.textContent = `${formatBytes(size)} (${filteredMessages.length} of ${allMessages.length} in range)`;
-      } else {
-        dataSize.textContent = `${formatBytes(size)} (${allMessages.length} messages)`;
+      if (response.channelKey && response.channelKey !== currentChannelKey) {
+        currentChannelKey = response.channelKey;
+        await refreshChannelList(currentChannelKey);
       }
 
+      await updateDataSize();
+
       // Update UI based on state
       if (response.isRunning) {
         updateUI(response.isPaused ? 'paused' : 'running', response.extractionPhase);
@@ -505,11 +1073,60 @@ async function updateState() {
   }
 }
 
+// Update storage usage and the selected channel's message count with time range filter info
+async function updateDataSize() {
+  const usageResponse = await chrome.runtime.sendMessage({ type: 'GET_STORAGE_USAGE' });
+  const usage = usageResponse && usageResponse.success ? usageResponse.usage : null;
+  updateStorageWarning(usage);
+
+  const usageText = usage
+    ? `${formatBytes(usage.usage)} used (${usage.percent}%)`
+    : 'Storage usage unavailable';
+
+  // Count in the background rather than loading the whole channel on every poll
+  const { fromTs, toTs } = getTimeRangeBounds();
+  const countResponse = channelSelect.value
+    ? await chrome.runtime.sendMessage({ type: 'COUNT_MESSAGES', channelKey: channelSelect.value, fromTs, toTs })
+    : null;
+  if (!countResponse || !countResponse.success || countResponse.total === 0) {
+    dataSize.textContent = `${usageText} · No data`;
+    return;
+  }
+  storageSchemaVersion = countResponse.schemaVersion || storageSchemaVersion;
+
+  if (countResponse.inRange < countResponse.total) {
+    dataSize.textContent = `${usageText} · ${countResponse.inRange} of ${countResponse.total} in range`;
+  } else {
+    dataSize.textContent = `${usageText} · ${countResponse.total} messages`;
+  }
+}
+
+// Warn before the storage quota is reached
+function updateStorageWarning(usage) {
+  if (!usage || !usage.warning) {
+    storageWarning.style.display = 'none';
+    return;
+  }
+
+  storageWarning.style.display = 'block';
+  storageWarning.classList.toggle('exceeded', usage.exceeded);
+  storageWarning.textContent = usage.exceeded
+    ? `Storage is full (${usage.percent}% of ${formatBytes(usage.quota)}). Extraction pauses until you export and trim or clear old data.`
+    : `Storage is ${usage.percent}% full (${formatBytes(usage.quota)} quota). Consider exporting and trimming old data.`;
+}
+
 // Poll for state updates
 function startStatePolling() {
   setInterval(updateState, 1000);
 }
 
+// Keep the snapshot count current while a run captures new ones
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.diagnostics) {
+    updateDiagnosticsCount();
+  }
+});
+
 // Add log entry
 function addLog(message, type = 'info') {
   const entry = document.createElement('div');
@@ -584,8 +1201,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       updateUI('error');
       addLog(message.error, 'error');
       break;
+    case 'QUOTA_EXCEEDED':
+      updateUI('paused');
+      updateStorageWarning(message.usage);
+      addLog(`Storage full: extraction paused with ${message.unsavedCount} unsaved messages kept in memory`, 'error');
+      break;
+    case 'QUEUE_UPDATED':
+      updateQueueView();
+      break;
     case 'SAVED':
       lastSaveTime.textContent = `Last saved: ${new Date().toLocaleTimeString()}`;
+      refreshChannelList();
       break;
   }
 });